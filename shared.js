@@ -0,0 +1,223 @@
+/**
+ * AAM Chat - Shared configuration and helpers
+ * Loaded by the task pane (taskpane.html), the ribbon commands (functions.html) and the dialogs
+ */
+
+// Environment profiles; the chosen one (plus any endpoint overrides) is applied to CONFIG
+const ENVIRONMENTS = {
+    test: {
+        label: 'Test',
+        intranetUrl: 'https://aamintranettest-aamcompanyllc.msappproxy.net',
+        signalRHub: '/chathub',
+        apiBase: '/api/calendar',
+        chatApi: '/api/chat',
+        zoomDomain: 'aamcompany.zoom.us',
+        clientId: '390b1d30-04f2-4063-b28a-4e2c8aefc9bf' // Same as AAM Intranet Calendar app
+    },
+    prod: {
+        label: 'Production',
+        intranetUrl: 'https://aamintranet-aamcompanyllc.msappproxy.net',
+        signalRHub: '/chathub',
+        apiBase: '/api/calendar',
+        chatApi: '/api/chat',
+        zoomDomain: 'aamcompany.zoom.us',
+        clientId: '390b1d30-04f2-4063-b28a-4e2c8aefc9bf'
+    },
+    local: {
+        label: 'Local',
+        intranetUrl: 'https://localhost:5001',
+        signalRHub: '/chathub',
+        apiBase: '/api/calendar',
+        chatApi: '/api/chat',
+        zoomDomain: 'aamcompany.zoom.us',
+        clientId: '390b1d30-04f2-4063-b28a-4e2c8aefc9bf'
+    }
+};
+
+// Used until one is picked in settings
+const DEFAULT_ENVIRONMENT = 'test';
+
+// Settings that can be overridden per environment
+const ENDPOINT_KEYS = ['intranetUrl', 'signalRHub', 'apiBase', 'chatApi', 'zoomDomain', 'clientId'];
+
+// Configuration (endpoints come from the active environment, see applyEnvironment)
+const CONFIG = {
+    environment: DEFAULT_ENVIRONMENT,
+    ...ENVIRONMENTS[DEFAULT_ENVIRONMENT],
+    overridden: [],  // endpoint keys changed from the profile
+    environmentKey: 'aamChat.environment',  // roaming setting: { name, overrides }
+    healthCheckTimeoutMs: 8000,
+    historyPageSize: 50,
+    graphScopes: ['User.Read', 'User.Read.All', 'Calendars.Read', 'Calendars.Read.Shared', 'Mail.Read'],
+    outboxKey: 'aamChat.outbox',
+    cacheDbName: 'aamChatCache',
+    cacheMaxMessages: 200,      // per conversation
+    cacheMaxConversations: 50,  // conversations with cached history
+    presenceKey: 'aamChat.presence',
+    scheduleBatchSize: 20,          // schedules per getSchedule request
+    scheduleLookaheadHours: 10,
+    calendarFullRefreshMinutes: 5,  // whole directory; visible and recent every minute
+    idleMinutesDefault: 5,
+    maxAttachmentMb: 25,
+    editWindowMinutes: 15,      // how long after sending you can edit or delete
+    transcriptPageSize: 500,    // messages per request when exporting a transcript
+    pendingActionKey: 'aamChat.pendingAction',
+    notificationKey: 'aamChat.notifications',
+    notificationDelayMs: 1500,  // gather bursts into one notification
+    profileCacheMinutes: 10,
+    contactsSettingKey: 'aamChat.contacts', // roaming setting: favorites and contact groups
+    listOverscanPx: 300,            // rows rendered beyond the visible part of a list
+    tokenRefreshMarginSeconds: 300  // refresh tokens this long before they expire
+};
+
+/**
+ * The saved environment choice. Dialogs have no roaming settings, so they
+ * get it in the URL (see getDialogUrl) and keep it across sign-in redirects.
+ */
+function getEnvironmentSettings() {
+    const roaming = Office.context?.roamingSettings?.get(CONFIG.environmentKey);
+    if (roaming) return roaming;
+    
+    try {
+        const fromUrl = new URLSearchParams(window.location.search).get('env');
+        if (fromUrl) {
+            sessionStorage.setItem(CONFIG.environmentKey, fromUrl);
+            return JSON.parse(fromUrl);
+        }
+        return JSON.parse(sessionStorage.getItem(CONFIG.environmentKey) || 'null');
+    } catch (e) {
+        console.error('Failed to read environment:', e);
+        return null;
+    }
+}
+
+/**
+ * Endpoints for an environment with overrides on top (blank overrides are ignored)
+ */
+function resolveEnvironment(settings) {
+    const name = ENVIRONMENTS[settings?.name] ? settings.name : DEFAULT_ENVIRONMENT;
+    const overrides = {};
+    
+    ENDPOINT_KEYS.forEach(key => {
+        const value = settings?.overrides?.[key];
+        if (typeof value === 'string' && value.trim()) overrides[key] = value.trim();
+    });
+    
+    return { environment: name, ...ENVIRONMENTS[name], ...overrides, overridden: Object.keys(overrides) };
+}
+
+/**
+ * Point CONFIG at the saved environment; call once Office is ready
+ */
+function applyEnvironment(settings = getEnvironmentSettings()) {
+    Object.assign(CONFIG, resolveEnvironment(settings));
+}
+
+/**
+ * URL of a dialog page that carries the active environment along
+ */
+function getDialogUrl(page) {
+    const url = new URL(page, window.location.href);
+    url.searchParams.set('env', JSON.stringify({
+        name: CONFIG.environment,
+        overrides: Object.fromEntries(CONFIG.overridden.map(key => [key, CONFIG[key]]))
+    }));
+    return url.href;
+}
+
+/**
+ * Scope for the intranet chat API, which trusts the add-in's own app registration
+ */
+function getApiScopes(clientId = CONFIG.clientId) {
+    return [`api://${clientId}/access_as_user`];
+}
+
+/**
+ * Intranet API token through Office SSO; Office only prompts when interactive
+ */
+function getSsoToken(interactive = false) {
+    return Office.auth.getAccessToken({
+        allowSignInPrompt: interactive,
+        allowConsentPrompt: interactive
+    });
+}
+
+/**
+ * MSAL client for the sign-in dialog and the task pane. They share an origin and
+ * a localStorage cache, so after one dialog sign-in the task pane renews silently.
+ */
+function createMsalClient(clientId = CONFIG.clientId) {
+    return new msal.PublicClientApplication({
+        auth: {
+            clientId,
+            authority: 'https://login.microsoftonline.com/organizations',
+            redirectUri: new URL('auth.html', window.location.href).href
+        },
+        cache: { cacheLocation: 'localStorage' }
+    });
+}
+
+/**
+ * Summarize a read-mode mail item for sharing into a chat
+ */
+function buildEmailShare(item) {
+    // Only received/saved items have an id others could open
+    if (!item || !item.itemId) return null;
+    
+    return {
+        itemId: item.itemId,
+        subject: item.subject || '',
+        senderName: item.from?.displayName || item.sender?.displayName || '',
+        senderEmail: item.from?.emailAddress || item.sender?.emailAddress || '',
+        receivedAt: item.dateTimeCreated ? new Date(item.dateTimeCreated).toISOString() : null
+    };
+}
+
+/**
+ * Plain-text fallback for a shared email (used for previews)
+ */
+function describeEmailShare(email) {
+    return `[Email] ${email.subject || '(no subject)'} — from ${email.senderName || email.senderEmail}`;
+}
+
+/**
+ * Hand an action to the task pane (it may be in another runtime)
+ */
+function setPendingAction(action) {
+    localStorage.setItem(CONFIG.pendingActionKey, JSON.stringify({ ...action, createdAt: Date.now() }));
+}
+
+/**
+ * Take the pending action, ignoring anything older than two minutes
+ */
+function takePendingAction() {
+    const raw = localStorage.getItem(CONFIG.pendingActionKey);
+    if (!raw) return null;
+    localStorage.removeItem(CONFIG.pendingActionKey);
+    
+    try {
+        const action = JSON.parse(raw);
+        return Date.now() - action.createdAt < 2 * 60 * 1000 ? action : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Show a notification message on the current mail item
+ */
+function notifyItem(message, isError) {
+    const item = Office.context.mailbox?.item;
+    if (!item || !item.notificationMessages) return;
+    
+    const details = isError
+        ? { type: Office.MailboxEnums.ItemNotificationMessageType.ErrorMessage, message }
+        : {
+            type: Office.MailboxEnums.ItemNotificationMessageType.InformationalMessage,
+            message,
+            icon: 'icon-16',
+            persistent: false
+        };
+    
+    item.notificationMessages.replaceAsync('aamChatCommand', details);
+}
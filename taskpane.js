@@ -3,14 +3,39 @@
  * Provides real-time chat and presence tracking via SignalR
  */
 
-// Configuration
-const CONFIG = {
-    intranetUrl: 'https://aamintranettest-aamcompanyllc.msappproxy.net',
-    signalRHub: '/chathub',
-    apiBase: '/api/calendar',
-    chatApi: '/api/chat',
-    clientId: '390b1d30-04f2-4063-b28a-4e2c8aefc9bf', // Same as AAM Intranet Calendar app
-    graphScopes: ['User.Read', 'Calendars.Read', 'Calendars.Read.Shared']
+// Configuration (CONFIG) lives in shared.js
+
+// Reactions offered in the picker
+const REACTION_EMOJIS = ['👍', '❤️', '😂', '😮', '🙏', '✅'];
+
+// Windows time zone names (from Graph working hours) that Intl does not know
+const WINDOWS_TIME_ZONES = {
+    'Eastern Standard Time': 'America/New_York',
+    'Central Standard Time': 'America/Chicago',
+    'Mountain Standard Time': 'America/Denver',
+    'US Mountain Standard Time': 'America/Phoenix',
+    'Pacific Standard Time': 'America/Los_Angeles',
+    'Alaskan Standard Time': 'America/Anchorage',
+    'Hawaiian Standard Time': 'Pacific/Honolulu',
+    'GMT Standard Time': 'Europe/London',
+    'W. Europe Standard Time': 'Europe/Berlin',
+    'Romance Standard Time': 'Europe/Paris',
+    'India Standard Time': 'Asia/Kolkata',
+    'China Standard Time': 'Asia/Shanghai',
+    'Singapore Standard Time': 'Asia/Singapore',
+    'Tokyo Standard Time': 'Asia/Tokyo',
+    'AUS Eastern Standard Time': 'Australia/Sydney',
+    'UTC': 'UTC'
+};
+
+// Presence statuses a user can pick, as reported to the hub
+const PRESENCE_STATUSES = {
+    Available: { label: 'Available', className: 'available' },
+    Busy: { label: 'Busy', className: 'busy' },
+    DoNotDisturb: { label: 'Do not disturb', className: 'dnd' },
+    BeRightBack: { label: 'Be right back', className: 'away' },
+    Away: { label: 'Away', className: 'away' },
+    AppearOffline: { label: 'Appear offline', className: 'offline' }
 };
 
 // State
@@ -20,11 +45,64 @@ let currentUserEmail = null;
 let directoryUsers = [];
 let onlineUsers = new Set();
 let userPresence = {};  // email -> { status, calendarStatus, lastSeen }
-let conversations = {};  // username -> { messages, unreadCount }
+let conversations = {};  // username or 'group:<id>' -> { messages, unreadCount }
+let groups = {};  // groupId -> { id, name, members }
 let activeChatUser = null;
+let activeGroup = null;
+let newGroupMembers = [];
+let historyState = { key: null, oldest: null, hasMore: false, loading: false };
+let outbox = [];  // [{ clientId, key, recipientUsername, groupId, content, sentAt, status }]
+let flushingOutbox = false;
+let flushOutboxAgain = false;  // entries were queued while a flush was running
+let cacheDb = null;
+let cacheWrites = {};  // key -> promise of the last queued read-modify-write
+let presenceSettings = { status: 'Available', idleMinutes: CONFIG.idleMinutesDefault };
+let isIdle = false;
+let idleTimer = null;
+let calendarRefreshCount = 0;
+let contextEmails = [];  // sender and recipients of the open Outlook item
+let recipientsWatchedItem = null;
+let editingMessageId = null;
+let longPressTimer = null;
+let searchTimeout = null;
+let searchRequestId = 0;
+let replyingTo = null;  // { id, senderUsername, content } of the message being answered
+let pendingAttachments = [];  // [{ localId, fileName, size, uploading, attachment }]
+let scheduledMessages = [];  // [{ id, clientId, recipientUsername, groupId, content, metadata, sendAt, sendWhen }]
+let editingScheduledId = null;
+let userPhotos = {};  // email -> data URL, or null when there is none
+let photosLoading = new Set();
+let photoFailures = {};  // email -> when a photo request for it last failed
+let photoRequests = new Set();  // photos asked for by avatars as they render
+let photoRequestTimer = null;
+let profileCache = {};  // email -> { profile, manager, reports, loadedAt }
+let profileHistory = [];  // emails walked through in the open profile card
+let profileHoverTimer = null;
+let contactSettings = { favorites: [], groups: [], collapsed: {} };  // roams with the mailbox
+let editingContactGroupId = null;
+let contactGroupMembers = [];
+let userListView = null;  // virtual lists, created in setupListViews
+let conversationListView = null;
+let listRenderFrame = null;
+let pendingListRenders = { users: false, conversations: false };
+let notificationSettings = {
+    muted: {},  // conversation key -> true
+    mentionsOnly: {},  // conversation key -> true: only when you are @mentioned
+    quietHours: { enabled: false, start: '18:00', end: '08:00' },
+    browser: false,
+    sound: true
+};
+let pendingNotifications = [];  // unread messages covered by the current notification
+let notificationTimer = null;
+let audioContext = null;
 let typingTimeout = null;
+let errorBannerTimer = null;
 let isTyping = false;
-let accessToken = null;
+let tokens = {  // 'api' for the intranet, 'graph' for Microsoft Graph
+    api: { token: null, expiresAt: 0, request: null, refreshTimer: null },
+    graph: { token: null, expiresAt: 0, request: null, refreshTimer: null }
+};
+let msalClient = null;
 
 // Initialize when Office is ready
 Office.onReady((info) => {
@@ -39,26 +117,70 @@ Office.onReady((info) => {
  */
 async function initialize() {
     try {
+        // Endpoints for the chosen environment
+        applyEnvironment();
+        updateEnvironmentBadge();
+        
         // Get current user info
         await getCurrentUser();
         
+        // Restore unsent messages from the last session
+        loadOutbox();
+        
+        // Restore the chosen presence status
+        loadPresenceSettings();
+        loadNotificationSettings();
+        loadContactSettings();
+        
+        // People and Chats render through virtual lists
+        setupListViews();
+        
+        // Render straight away from the local cache, then sync below
+        await loadFromCache();
+        
+        // Setup event handlers
+        setupEventHandlers();
+        
         // Try SSO first, fallback to interactive
         await authenticate();
         
-        // Connect to SignalR
-        await connectSignalR();
+        // Connect to SignalR; offline we carry on and the outbox waits for Retry or a reconnect
+        try {
+            await connectSignalR();
+        } catch (error) {
+            console.warn('Starting without the chat hub:', error);
+        }
         
         // Load directory
         await loadDirectory();
         
+        // Load group chats
+        await loadGroups();
+        
         // Load conversations
         await loadConversations();
         
+        // Messages waiting to be sent later
+        await loadScheduledMessages();
+        
+        // Resend anything left in the outbox
+        flushOutbox();
+        
+        // Pick up a chat requested from a ribbon command
+        handlePendingAction();
+        window.addEventListener('storage', (e) => {
+            if (e.key === CONFIG.pendingActionKey && e.newValue) handlePendingAction();
+        });
+        
+        // Track people on the open Outlook item
+        watchCurrentItem();
+        
         // Start presence refresh
         startPresenceRefresh();
+        refreshCalendarStatus();
         
-        // Setup event handlers
-        setupEventHandlers();
+        // Drop to Away when idle
+        startIdleDetection();
         
     } catch (error) {
         console.error('Initialization failed:', error);
@@ -92,29 +214,227 @@ async function getCurrentUser() {
 }
 
 /**
- * Authenticate using SSO or fallback
+ * Get tokens at startup without any prompt; if that fails, offer a sign-in link
  */
 async function authenticate() {
+    const [apiToken, graphToken] = await Promise.all([getAccessToken('api'), getAccessToken('graph')]);
+    if (!apiToken) {
+        // The hub and REST calls still have the app proxy cookies
+        console.warn('No API token; continuing with cookie auth only');
+    }
+    if (!apiToken || !graphToken) {
+        showSignInPrompt();
+    }
+}
+
+/**
+ * Sign in from the sign-in link: the only place the dialog opens from
+ */
+async function signIn() {
+    hideSignInPrompt();
+    
+    const apiToken = await getAccessToken('api', { interactive: true });
+    const graphToken = await getAccessToken('graph', { interactive: true });
+    if (!apiToken || !graphToken) {
+        showSignInPrompt();
+        return;
+    }
+    
+    // Pick up what needed the tokens
+    if (!isConnected()) reconnect();
+    refreshCalendarStatus();
+    renderUserList();
+    renderConversationList();
+}
+
+function showSignInPrompt() {
+    document.getElementById('signInPrompt').classList.add('show');
+}
+
+function hideSignInPrompt() {
+    document.getElementById('signInPrompt').classList.remove('show');
+}
+
+/**
+ * Current token for 'api' or 'graph', renewed shortly before it expires.
+ * Concurrent callers share one renewal. Only interactive calls may prompt.
+ */
+async function getAccessToken(resource = 'api', { forceRefresh = false, interactive = false } = {}) {
+    const slot = tokens[resource];
+    if (slot.token && !forceRefresh && Date.now() < slot.expiresAt - CONFIG.tokenRefreshMarginSeconds * 1000) {
+        return slot.token;
+    }
+    
+    if (!slot.request) {
+        slot.request = acquireToken(resource, interactive).finally(() => { slot.request = null; });
+    }
+    return slot.request;
+}
+
+async function acquireToken(resource, interactive) {
+    // The intranet trusts the add-in's SSO token
+    if (resource === 'api') {
+        try {
+            setAccessToken('api', await getSsoToken(interactive));
+            console.log('SSO authentication successful');
+            return tokens.api.token;
+        } catch (ssoError) {
+            console.warn('SSO failed:', ssoError);
+        }
+    }
+    
+    // Renew from the cache left by an earlier dialog sign-in
     try {
-        // Try Office SSO first
-        const result = await Office.auth.getAccessToken({
-            allowSignInPrompt: true,
-            allowConsentPrompt: true,
-            forMSGraphAccess: true
-        });
-        
-        accessToken = result;
-        console.log('SSO authentication successful');
-        return accessToken;
-        
-    } catch (ssoError) {
-        console.warn('SSO failed, using fallback:', ssoError);
-        
-        // For now, we'll proceed without Graph token
-        // The SignalR hub will use Windows auth
-        accessToken = null;
+        const result = await acquireTokenSilently(resource);
+        setAccessToken(resource, result.accessToken, result.expiresOn);
+        return tokens[resource].token;
+    } catch (silentError) {
+        console.warn(`Silent ${resource} token request failed:`, silentError);
+    }
+    
+    if (interactive) {
+        try {
+            const result = await signInWithDialog();
+            setAccessToken('api', result.api.accessToken, result.api.expiresOn);
+            if (result.graph) setAccessToken('graph', result.graph.accessToken, result.graph.expiresOn);
+            console.log('Dialog sign-in successful');
+            return tokens[resource].token;
+        } catch (dialogError) {
+            console.warn('Dialog sign-in failed:', dialogError);
+        }
+    }
+    
+    return keepTokenUntilExpiry(resource);
+}
+
+/**
+ * A failed renewal keeps a token that is still valid and tries again shortly
+ */
+function keepTokenUntilExpiry(resource) {
+    const slot = tokens[resource];
+    if (!slot.token || Date.now() >= slot.expiresAt) {
+        setAccessToken(resource, null);
         return null;
     }
+    
+    clearTimeout(slot.refreshTimer);
+    slot.refreshTimer = setTimeout(() => getAccessToken(resource, { forceRefresh: true }), 60000);
+    return slot.token;
+}
+
+/**
+ * Token from MSAL's cache (renewed with its refresh token), without any UI
+ */
+async function acquireTokenSilently(resource) {
+    if (!window.msal) throw new Error('MSAL is not loaded');
+    if (!msalClient) msalClient = createMsalClient();
+    
+    const account = msalClient.getAllAccounts()[0];
+    if (!account) throw new Error('Not signed in with the dialog yet');
+    
+    const scopes = resource === 'graph' ? CONFIG.graphScopes : getApiScopes();
+    return msalClient.acquireTokenSilent({ scopes, account });
+}
+
+/**
+ * Store a token and schedule the next renewal ahead of its expiry
+ */
+function setAccessToken(resource, token, expiresOn) {
+    const slot = tokens[resource];
+    slot.token = token;
+    slot.expiresAt = token ? (expiresOn ? new Date(expiresOn).getTime() : decodeTokenExpiry(token)) : 0;
+    
+    clearTimeout(slot.refreshTimer);
+    if (token) {
+        const delay = slot.expiresAt - CONFIG.tokenRefreshMarginSeconds * 1000 - Date.now();
+        slot.refreshTimer = setTimeout(() => getAccessToken(resource, { forceRefresh: true }), Math.max(delay, 30000));
+    } else {
+        showSignInPrompt();
+    }
+}
+
+/**
+ * Expiry (ms) from the JWT exp claim; assume an hour if it cannot be read
+ */
+function decodeTokenExpiry(token) {
+    try {
+        const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+        const claims = JSON.parse(atob(payload.padEnd(payload.length + (4 - payload.length % 4) % 4, '=')));
+        if (claims.exp) return claims.exp * 1000;
+    } catch (e) {
+        console.warn('Could not decode token expiry:', e);
+    }
+    return Date.now() + 60 * 60 * 1000;
+}
+
+/**
+ * Interactive sign-in in an Office dialog (auth.html); resolves { api, graph } tokens
+ */
+function signInWithDialog() {
+    return new Promise((resolve, reject) => {
+        const url = getDialogUrl('auth.html');
+        
+        Office.context.ui.displayDialogAsync(url, { height: 60, width: 30 }, (result) => {
+            if (result.status === Office.AsyncResultStatus.Failed) {
+                reject(result.error);
+                return;
+            }
+            
+            const dialog = result.value;
+            
+            dialog.addEventHandler(Office.EventType.DialogMessageReceived, (arg) => {
+                dialog.close();
+                try {
+                    const message = JSON.parse(arg.message);
+                    if (message.status === 'success' && message.api?.accessToken) {
+                        resolve(message);
+                    } else {
+                        reject(new Error(message.error || 'Sign-in failed'));
+                    }
+                } catch (e) {
+                    reject(e);
+                }
+            });
+            
+            // Closed with the X
+            dialog.addEventHandler(Office.EventType.DialogEventReceived, (arg) => {
+                reject(new Error('Sign-in dialog closed (' + arg.error + ')'));
+            });
+        });
+    });
+}
+
+/**
+ * fetch to the intranet with its bearer token; on 401 renew the token and retry once
+ */
+function authFetch(url, options = {}) {
+    return fetchWithToken('api', url, options);
+}
+
+/**
+ * fetch to Microsoft Graph with the Graph token
+ */
+function graphFetch(url, options = {}) {
+    return fetchWithToken('graph', url, options);
+}
+
+async function fetchWithToken(resource, url, options) {
+    const send = (token) => {
+        const headers = new Headers(options.headers || {});
+        if (token) headers.set('Authorization', 'Bearer ' + token);
+        return fetch(url, { ...options, headers });
+    };
+    
+    const token = await getAccessToken(resource);
+    const response = await send(token);
+    if (response.status !== 401) return response;
+    
+    // Never prompts: a user who needs to sign in again gets the sign-in link
+    const renewed = await getAccessToken(resource, { forceRefresh: true });
+    if (renewed && renewed !== token) return send(renewed);
+    
+    showSignInPrompt();
+    return response;
 }
 
 /**
@@ -126,7 +446,8 @@ async function connectSignalR() {
     try {
         connection = new signalR.HubConnectionBuilder()
             .withUrl(CONFIG.intranetUrl + CONFIG.signalRHub, {
-                withCredentials: true  // Send Windows auth cookies
+                withCredentials: true,  // Send Windows auth cookies
+                accessTokenFactory: async () => (await getAccessToken('api')) || ''
             })
             .withAutomaticReconnect([0, 2000, 5000, 10000, 30000])
             .configureLogging(signalR.LogLevel.Information)
@@ -147,7 +468,7 @@ async function connectSignalR() {
         console.log('Online users:', users);
         
         // Report our presence with source
-        await connection.invoke('ReportPresence', 'Outlook', 'Available');
+        await reportPresence();
         
     } catch (error) {
         console.error('SignalR connection failed:', error);
@@ -170,11 +491,33 @@ function setupSignalRHandlers() {
     // Message sent confirmation
     connection.on('MessageSent', (message) => {
         console.log('Message sent:', message);
-        if (activeChatUser && message.recipientUsername.toLowerCase() === activeChatUser.username.toLowerCase()) {
-            appendMessage(message, true);
+        removeOutboxEntry(message.clientId);
+        removeScheduledMessage(message.clientId);
+        cacheAppendMessage(getMessageConversationKey(message), message);
+        updateConversationSummary(getMessageConversationKey(message), message);
+        if (getMessageConversationKey(message) === getActiveConversationKey()) {
+            confirmSentMessage(message);
         }
     });
     
+    // A message was edited (by us or the other side)
+    connection.on('MessageEdited', (message) => {
+        console.log('Message edited:', message);
+        handleMessageChanged(message);
+    });
+    
+    // Reactions on a message changed; never counts as unread or notifies
+    connection.on('ReactionsUpdated', (update) => {
+        console.log('Reactions updated:', update);
+        handleReactionsUpdated(update);
+    });
+    
+    // A message was deleted
+    connection.on('MessageDeleted', (message) => {
+        console.log('Message deleted:', message);
+        handleMessageChanged({ ...message, deletedAt: message.deletedAt || new Date().toISOString() });
+    });
+    
     // User online
     connection.on('UserOnline', (username) => {
         console.log('User online:', username);
@@ -189,24 +532,41 @@ function setupSignalRHandlers() {
         updateUserPresenceUI(username, 'offline');
     });
     
-    // User typing
-    connection.on('UserTyping', (username) => {
-        if (activeChatUser && username.toLowerCase() === activeChatUser.username.toLowerCase()) {
+    // User typing (groupId is set for group chats)
+    connection.on('UserTyping', (username, groupId) => {
+        const key = groupId ? groupKey(groupId) : username.toLowerCase();
+        if (key === getActiveConversationKey()) {
             showTypingIndicator(username);
         }
     });
     
     // User stopped typing
-    connection.on('UserStoppedTyping', (username) => {
-        if (activeChatUser && username.toLowerCase() === activeChatUser.username.toLowerCase()) {
+    connection.on('UserStoppedTyping', (username, groupId) => {
+        const key = groupId ? groupKey(groupId) : username.toLowerCase();
+        if (key === getActiveConversationKey()) {
             hideTypingIndicator();
         }
     });
     
-    // Messages read
-    connection.on('MessagesRead', (username) => {
-        // Update read receipts
-        console.log('Messages read by:', username);
+    // Group created or membership changed
+    connection.on('GroupUpdated', (group) => {
+        console.log('Group updated:', group);
+        handleGroupUpdated(group);
+    });
+    
+    // We were removed from (or left) a group
+    connection.on('RemovedFromGroup', (groupId) => {
+        console.log('Removed from group:', groupId);
+        handleRemovedFromGroup(groupId);
+    });
+    
+    // Messages read (groupId is set for group chats)
+    connection.on('MessagesRead', (username, readAt, groupId) => {
+        console.log('Messages read by:', username, readAt);
+        const key = groupId ? groupKey(groupId) : username.toLowerCase();
+        if (key === getActiveConversationKey()) {
+            markSentMessagesRead(username, readAt);
+        }
     });
     
     // Presence update (extended for calendar status)
@@ -233,7 +593,9 @@ function setupSignalRHandlers() {
         hideConnectionError();
         
         // Re-report presence
-        connection.invoke('ReportPresence', 'Outlook', 'Available');
+        reportPresence();
+        
+        resyncAfterReconnect();
     });
     
     connection.onclose((error) => {
@@ -248,7 +610,7 @@ function setupSignalRHandlers() {
  */
 async function loadDirectory() {
     try {
-        const response = await fetch(CONFIG.intranetUrl + CONFIG.apiBase + '/directory', {
+        const response = await authFetch(CONFIG.intranetUrl + CONFIG.apiBase + '/directory', {
             credentials: 'include'
         });
         
@@ -256,11 +618,16 @@ async function loadDirectory() {
             directoryUsers = await response.json();
             console.log('Loaded directory:', directoryUsers.length, 'users');
             renderUserList();
+            cachePut('meta', { key: 'directory', value: directoryUsers });
         } else {
             throw new Error('Failed to load directory');
         }
     } catch (error) {
         console.error('Directory load failed:', error);
+        
+        // Keep showing the cached directory if we have one
+        if (directoryUsers.length > 0) return;
+        
         document.getElementById('userList').innerHTML = `
             <div class="empty-state">
                 <i class="fas fa-exclamation-circle"></i>
@@ -270,28 +637,58 @@ async function loadDirectory() {
     }
 }
 
+/**
+ * Load group chats the current user belongs to
+ */
+async function loadGroups() {
+    try {
+        const response = await authFetch(CONFIG.intranetUrl + CONFIG.chatApi + '/groups', {
+            credentials: 'include'
+        });
+        
+        if (response.ok) {
+            const list = await response.json();
+            list.forEach(g => {
+                groups[g.id] = g;
+                const key = groupKey(g.id);
+                if (!conversations[key]) {
+                    conversations[key] = { messages: [], unreadCount: 0, lastMessageTime: g.createdAt };
+                }
+            });
+            console.log('Loaded groups:', list.length);
+            cachePut('meta', { key: 'groups', value: groups });
+        }
+    } catch (error) {
+        console.error('Failed to load groups:', error);
+    }
+}
+
 /**
  * Load existing conversations
  */
 async function loadConversations() {
     try {
-        const response = await fetch(CONFIG.intranetUrl + CONFIG.chatApi + '/conversations', {
+        const response = await authFetch(CONFIG.intranetUrl + CONFIG.chatApi + '/conversations', {
             credentials: 'include'
         });
         
         if (response.ok) {
             const convos = await response.json();
             convos.forEach(c => {
-                conversations[c.username.toLowerCase()] = {
+                const key = c.groupId ? groupKey(c.groupId) : c.username.toLowerCase();
+                conversations[key] = {
                     messages: [],
                     unreadCount: c.unreadCount || 0,
                     lastMessage: c.lastMessage,
+                    lastMessageId: c.lastMessageId,
+                    lastMessageSender: c.lastMessageSender,
                     lastMessageTime: c.lastMessageTime
                 };
             });
             
             updateUnreadBadge();
             renderConversationList();
+            saveConversationsToCache();
         }
     } catch (error) {
         console.error('Failed to load conversations:', error);
@@ -302,16 +699,15 @@ async function loadConversations() {
  * Load calendar free/busy for users
  */
 async function loadCalendarStatus(emails) {
-    if (!accessToken) return;
+    if (!tokens.graph.token) return;
     
     try {
         const now = new Date();
-        const endTime = new Date(now.getTime() + 60 * 60 * 1000); // Next hour
+        const endTime = new Date(now.getTime() + CONFIG.scheduleLookaheadHours * 60 * 60 * 1000);
         
-        const response = await fetch('https://graph.microsoft.com/v1.0/me/calendar/getSchedule', {
+        const response = await graphFetch('https://graph.microsoft.com/v1.0/me/calendar/getSchedule', {
             method: 'POST',
             headers: {
-                'Authorization': 'Bearer ' + accessToken,
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify({
@@ -324,7 +720,7 @@ async function loadCalendarStatus(emails) {
                     dateTime: endTime.toISOString(),
                     timeZone: 'UTC'
                 },
-                availabilityViewInterval: 60
+                availabilityViewInterval: 15
             })
         });
         
@@ -332,16 +728,22 @@ async function loadCalendarStatus(emails) {
             const data = await response.json();
             data.value.forEach(schedule => {
                 const email = schedule.scheduleId.toLowerCase();
-                const status = schedule.availabilityView === '2' ? 'busy' : 
-                              schedule.availabilityView === '1' ? 'tentative' : 'free';
                 
                 if (!userPresence[email]) {
                     userPresence[email] = {};
                 }
-                userPresence[email].calendarStatus = status;
+                Object.assign(userPresence[email], parseSchedule(schedule, now), {
+                    calendarCheckedAt: now.getTime()
+                });
+                if (schedule.workingHours?.timeZone?.name) {
+                    userPresence[email].timeZone = schedule.workingHours.timeZone.name;
+                }
             });
             
             renderUserList();
+            if (activeChatUser) {
+                document.getElementById('chatStatus').textContent = getPresenceDisplay(activeChatUser).statusText;
+            }
         }
     } catch (error) {
         console.error('Failed to load calendar status:', error);
@@ -349,600 +751,5122 @@ async function loadCalendarStatus(emails) {
 }
 
 /**
- * Start periodic presence refresh
+ * Work out current calendar status and how long it lasts from a getSchedule result
  */
-function startPresenceRefresh() {
-    // Refresh presence every 60 seconds
-    setInterval(async () => {
-        if (connection && connection.state === signalR.HubConnectionState.Connected) {
-            // Report our presence
-            await connection.invoke('ReportPresence', 'Outlook', 'Available');
-            
-            // Refresh calendar status for visible users
-            const visibleEmails = directoryUsers.slice(0, 20).map(u => u.email).filter(e => e);
-            if (visibleEmails.length > 0 && accessToken) {
-                await loadCalendarStatus(visibleEmails);
+function parseSchedule(schedule, now) {
+    // availabilityView: 0 free, 1 tentative, 2 busy, 3 out of office, 4 working elsewhere
+    const viewStatuses = { '1': 'tentative', '2': 'busy', '3': 'oof', '4': 'workingElsewhere' };
+    const view = schedule.availabilityView || '';
+    
+    const items = (schedule.scheduleItems || [])
+        .filter(i => i.status && i.status !== 'free' && i.status !== 'unknown')
+        .map(i => ({
+            status: i.status,
+            start: parseGraphDateTime(i.start),
+            end: parseGraphDateTime(i.end)
+        }))
+        .sort((a, b) => a.start - b.start);
+    
+    const current = items.filter(i => i.start <= now && i.end > now);
+    
+    if (current.length > 0) {
+        // Strongest status wins; extend "until" across back-to-back items
+        const rank = { oof: 4, busy: 3, workingElsewhere: 2, tentative: 1 };
+        const status = current.reduce((a, b) => (rank[b.status] || 0) > (rank[a.status] || 0) ? b : a).status;
+        let until = Math.max(...current.map(i => i.end.getTime()));
+        items.forEach(i => {
+            if (i.start.getTime() <= until && i.end.getTime() > until) {
+                until = i.end.getTime();
             }
-        }
-    }, 60000);
+        });
+        return { calendarStatus: status, calendarUntil: new Date(until).toISOString(), calendarFreeUntil: null };
+    }
+    
+    // Items can be hidden from us; fall back to the first availabilityView slot
+    const viewStatus = viewStatuses[view.charAt(0)];
+    if (viewStatus) {
+        return { calendarStatus: viewStatus, calendarUntil: null, calendarFreeUntil: null };
+    }
+    
+    const next = items.find(i => i.start > now);
+    return {
+        calendarStatus: 'free',
+        calendarUntil: null,
+        calendarFreeUntil: next ? next.start.toISOString() : null
+    };
 }
 
 /**
- * Render user list
+ * Utility: Parse a Graph dateTimeTimeZone (we always request UTC)
  */
-function renderUserList() {
-    const container = document.getElementById('userList');
-    const searchTerm = document.getElementById('searchInput').value.toLowerCase();
-    
-    // Filter users
-    let filtered = directoryUsers.filter(u => 
-        u.username.toLowerCase() !== currentUser.username.toLowerCase()
-    );
-    
-    if (searchTerm) {
-        filtered = filtered.filter(u =>
-            u.displayName?.toLowerCase().includes(searchTerm) ||
-            u.email?.toLowerCase().includes(searchTerm) ||
-            u.department?.toLowerCase().includes(searchTerm)
-        );
-    }
+function parseGraphDateTime(value) {
+    const text = value.dateTime;
+    return new Date(/(Z|[+-]\d\d:\d\d)$/.test(text) ? text : text + 'Z');
+}
+
+/**
+ * Refresh calendar status in batches: visible and recent people every
+ * call, the whole directory every few minutes
+ */
+async function refreshCalendarStatus() {
+    if (!tokens.graph.token) return;
     
-    // Sort: online first, then alphabetically
-    filtered.sort((a, b) => {
-        const aOnline = onlineUsers.has(a.username.toLowerCase()) ? 0 : 1;
-        const bOnline = onlineUsers.has(b.username.toLowerCase()) ? 0 : 1;
-        if (aOnline !== bOnline) return aOnline - bOnline;
-        return (a.displayName || '').localeCompare(b.displayName || '');
-    });
+    const fullRefreshEvery = CONFIG.calendarFullRefreshMinutes;
+    const full = calendarRefreshCount % fullRefreshEvery === 0;
+    calendarRefreshCount++;
     
-    if (filtered.length === 0) {
-        container.innerHTML = `
-            <div class="empty-state">
-                <i class="fas fa-search"></i>
-                <div>No results found</div>
-            </div>
-        `;
-        return;
+    const emails = getCalendarTargets(full);
+    for (let i = 0; i < emails.length; i += CONFIG.scheduleBatchSize) {
+        await loadCalendarStatus(emails.slice(i, i + CONFIG.scheduleBatchSize));
     }
+}
+
+/**
+ * Emails to check, most relevant first: the open chat, people on screen,
+ * recent conversations and group members, then (for a full refresh) everyone
+ */
+function getCalendarTargets(full) {
+    const usernames = [];
     
-    // Separate online/offline
-    const online = filtered.filter(u => onlineUsers.has(u.username.toLowerCase()));
-    const offline = filtered.filter(u => !onlineUsers.has(u.username.toLowerCase()));
+    if (activeChatUser) usernames.push(activeChatUser.username);
+    if (activeGroup) usernames.push(...activeGroup.members);
     
-    let html = '';
+    const list = document.getElementById('userList');
+    const listRect = list.getBoundingClientRect();
+    list.querySelectorAll('.user-item').forEach(item => {
+        const rect = item.getBoundingClientRect();
+        if (rect.bottom >= listRect.top && rect.top <= listRect.bottom) {
+            usernames.push(item.dataset.username);
+        }
+    });
     
-    if (online.length > 0) {
-        html += '<div class="section-header">Online Now</div>';
-        html += online.map(u => renderUserItem(u, true)).join('');
-    }
+    Object.keys(conversations).forEach(key => {
+        if (isGroupKey(key)) {
+            usernames.push(...(groups[key.substring(6)]?.members || []));
+        } else {
+            usernames.push(key);
+        }
+    });
     
-    if (offline.length > 0) {
-        html += '<div class="section-header">All People</div>';
-        html += offline.map(u => renderUserItem(u, false)).join('');
+    if (full) {
+        usernames.push(...directoryUsers.map(u => u.username));
     }
     
-    container.innerHTML = html;
+    const emails = usernames
+        .map(u => findDirectoryUser(u)?.email?.toLowerCase())
+        .filter(e => e && e !== currentUserEmail.toLowerCase());
+    return [...new Set(emails)];
+}
+
+/**
+ * Fetch a user's automatic reply (out-of-office) through Graph mail tips
+ */
+async function loadAutomaticReply(email) {
+    if (!tokens.graph.token || !email) return null;
     
-    // Add click handlers
-    container.querySelectorAll('.user-item').forEach(item => {
-        item.addEventListener('click', () => {
-            const username = item.dataset.username;
-            const user = directoryUsers.find(u => u.username === username);
-            if (user) openChat(user);
+    try {
+        const response = await graphFetch('https://graph.microsoft.com/v1.0/me/getMailTips', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                EmailAddresses: [email],
+                MailTipsOptions: 'automaticReplies'
+            })
         });
-    });
+        
+        if (!response.ok) return null;
+        
+        const data = await response.json();
+        const tip = data.value?.[0]?.automaticReplies || {};
+        const reply = {
+            message: htmlToText(tip.message || '').trim(),
+            returnDate: tip.scheduledEndTime ? parseGraphDateTime(tip.scheduledEndTime).toISOString() : null,
+            checkedAt: Date.now()
+        };
+        
+        const key = email.toLowerCase();
+        if (!userPresence[key]) {
+            userPresence[key] = {};
+        }
+        userPresence[key].automaticReply = reply;
+        return reply;
+    } catch (error) {
+        console.error('Failed to load automatic reply:', error);
+        return null;
+    }
 }
 
 /**
- * Render a single user item
+ * Show the automatic reply banner above the chat for a user
  */
-function renderUserItem(user, isOnline) {
-    const presence = userPresence[user.email?.toLowerCase()] || {};
-    const calStatus = presence.calendarStatus;
+async function showAutomaticReply(user) {
+    hideAutomaticReply();
+    if (!user.email) return;
     
-    let statusClass = isOnline ? 'available' : 'offline';
-    let statusText = isOnline ? 'Online' : 'Offline';
+    const cached = userPresence[user.email.toLowerCase()]?.automaticReply;
+    const fresh = cached && Date.now() - cached.checkedAt < 15 * 60 * 1000;
+    const reply = fresh ? cached : await loadAutomaticReply(user.email);
     
-    // Override with calendar status if busy
-    if (isOnline && calStatus === 'busy') {
-        statusClass = 'busy';
-        statusText = 'In a meeting';
-    } else if (isOnline && calStatus === 'tentative') {
-        statusClass = 'away';
-        statusText = 'Tentative meeting';
+    // Chat changed while loading, or no automatic reply set
+    if (activeChatUser !== user || !reply?.message) {
+        if (!fresh) renderUserList();
+        return;
     }
     
-    const convo = conversations[user.username.toLowerCase()];
-    const unread = convo?.unreadCount || 0;
+    const returnText = reply.returnDate
+        ? 'Back ' + new Date(reply.returnDate).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })
+        : '';
     
-    return `
-        <div class="user-item" data-username="${user.username}">
-            <div class="user-avatar ${statusClass}">
-                ${user.initials || '??'}
-            </div>
-            <div class="user-info">
-                <div class="user-name">${user.displayName || user.username}</div>
-                <div class="user-status">
-                    <i class="fas fa-circle status-icon ${statusClass}"></i>
-                    ${statusText}${user.department ? ' · ' + user.department : ''}
-                </div>
-            </div>
-            ${unread > 0 ? `<div class="user-unread">${unread}</div>` : ''}
-        </div>
-    `;
+    document.getElementById('oofTitle').textContent = `${user.displayName || user.username} is away` + (returnText ? ` · ${returnText}` : '');
+    document.getElementById('oofMessage').textContent = reply.message;
+    document.getElementById('oofBanner').classList.add('show');
+    
+    if (!fresh) renderUserList();
+}
+
+function hideAutomaticReply() {
+    document.getElementById('oofBanner').classList.remove('show');
 }
 
 /**
- * Render conversation list
+ * Restore the chosen presence status and idle period
  */
-function renderConversationList() {
-    const container = document.getElementById('conversationList');
+function loadPresenceSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CONFIG.presenceKey) || 'null');
+        if (saved && PRESENCE_STATUSES[saved.status]) {
+            presenceSettings = { ...presenceSettings, ...saved };
+        }
+    } catch (e) {
+        console.error('Failed to read presence settings:', e);
+    }
+    
+    document.getElementById('idleMinutes').value = String(presenceSettings.idleMinutes);
+    updateMyPresenceUI();
+}
+
+function savePresenceSettings() {
+    try {
+        localStorage.setItem(CONFIG.presenceKey, JSON.stringify(presenceSettings));
+    } catch (e) {
+        console.error('Failed to save presence settings:', e);
+    }
+}
+
+/**
+ * The status to report: the chosen one, or Away while idle
+ */
+function getEffectivePresence() {
+    if (isIdle && presenceSettings.status === 'Available') {
+        return 'Away';
+    }
+    return presenceSettings.status;
+}
+
+/**
+ * Report our presence to the hub
+ */
+async function reportPresence() {
+    if (!isConnected()) return;
+    
+    try {
+        await connection.invoke('ReportPresence', 'Outlook', getEffectivePresence());
+    } catch (e) {
+        console.error('Failed to report presence:', e);
+    }
+}
+
+/**
+ * Pick a presence status from the header menu
+ */
+function setMyPresence(status) {
+    if (!PRESENCE_STATUSES[status]) return;
+    
+    presenceSettings.status = status;
+    savePresenceSettings();
+    hidePresenceMenu();
+    updateMyPresenceUI();
+    reportPresence();
+}
+
+/**
+ * Change how long without activity before going Away
+ */
+function setIdleMinutes(minutes) {
+    presenceSettings.idleMinutes = parseInt(minutes, 10) || CONFIG.idleMinutesDefault;
+    savePresenceSettings();
+    resetIdleTimer();
+}
+
+function togglePresenceMenu() {
+    document.getElementById('presenceMenu').classList.toggle('show');
+}
+
+function hidePresenceMenu() {
+    document.getElementById('presenceMenu').classList.remove('show');
+}
+
+/**
+ * Update the header status picker
+ */
+function updateMyPresenceUI() {
+    const effective = getEffectivePresence();
+    const info = PRESENCE_STATUSES[effective];
+    
+    document.getElementById('myPresenceDot').className = 'presence-dot ' + info.className;
+    document.getElementById('myPresenceText').textContent = info.label;
+    
+    document.querySelectorAll('#presenceMenu .presence-option').forEach(opt => {
+        opt.classList.toggle('active', opt.dataset.status === presenceSettings.status);
+    });
+}
+
+/**
+ * Watch keyboard, mouse and visibility activity to detect idle
+ */
+function startIdleDetection() {
+    ['keydown', 'mousemove', 'mousedown', 'wheel', 'touchstart'].forEach(evt => {
+        document.addEventListener(evt, handleUserActivity, { passive: true });
+    });
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') handleUserActivity();
+    });
+    resetIdleTimer();
+}
+
+function handleUserActivity() {
+    if (isIdle) {
+        isIdle = false;
+        updateMyPresenceUI();
+        reportPresence();
+    }
+    resetIdleTimer();
+}
+
+function resetIdleTimer() {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => {
+        isIdle = true;
+        updateMyPresenceUI();
+        reportPresence();
+    }, presenceSettings.idleMinutes * 60 * 1000);
+}
+
+/**
+ * Start periodic presence refresh
+ */
+function startPresenceRefresh() {
+    // Refresh presence every 60 seconds
+    setInterval(async () => {
+        if (connection && connection.state === signalR.HubConnectionState.Connected) {
+            // Report our presence
+            await reportPresence();
+            
+            // Refresh calendar status
+            await refreshCalendarStatus();
+        }
+    }, 60000);
+}
+
+/**
+ * Render user list (batched into the next frame)
+ */
+function renderUserList() {
+    scheduleListRender('users');
+}
+
+/**
+ * Rebuild the People rows; the virtual list only touches rows in view that changed
+ */
+function drawUserList() {
+    renderContextPeople();
+    
+    const searchTerm = document.getElementById('searchInput').value.toLowerCase();
+    
+    // Filter users
+    let filtered = directoryUsers.filter(u => 
+        u.username.toLowerCase() !== currentUser.username.toLowerCase()
+    );
+    
+    if (searchTerm) {
+        filtered = filtered.filter(u =>
+            u.displayName?.toLowerCase().includes(searchTerm) ||
+            u.email?.toLowerCase().includes(searchTerm) ||
+            u.department?.toLowerCase().includes(searchTerm)
+        );
+    }
+    
+    // Sort: online first, then alphabetically
+    filtered.sort((a, b) => {
+        const aOnline = isShownOnline(a.username) ? 0 : 1;
+        const bOnline = isShownOnline(b.username) ? 0 : 1;
+        if (aOnline !== bOnline) return aOnline - bOnline;
+        return (a.displayName || '').localeCompare(b.displayName || '');
+    });
+    
+    if (filtered.length === 0) {
+        userListView.showEmpty(`
+            <div class="empty-state">
+                <i class="fas fa-search"></i>
+                <div>No results found</div>
+            </div>
+        `);
+        return;
+    }
+    
+    // Separate online/offline
+    const online = filtered.filter(u => isShownOnline(u.username));
+    const offline = filtered.filter(u => !isShownOnline(u.username));
+    
+    const userRows = (section, users, isOnline) => users.map(u => ({
+        key: `${section}/${u.username.toLowerCase()}`,
+        type: 'item',
+        render: () => renderUserItem(u, isOnline)
+    }));
+    
+    const rows = getContactSectionRows(filtered, Boolean(searchTerm));
+    
+    if (online.length > 0) {
+        rows.push({ key: 'online', type: 'header', render: () => '<div class="section-header">Online Now</div>' });
+        rows.push(...userRows('online', online, true));
+    }
+    
+    if (offline.length > 0) {
+        rows.push({ key: 'all', type: 'header', render: () => '<div class="section-header">All People</div>' });
+        rows.push(...userRows('all', offline, false));
+    }
+    
+    userListView.setRows(rows);
+}
+
+/**
+ * Clicks on People rows (one delegated handler; rows come and go as you scroll)
+ */
+function handleUserListClick(e) {
+    const header = e.target.closest('.section-header[data-section]');
+    if (header) {
+        if (e.target.closest('.section-edit')) {
+            showContactGroupForm(header.dataset.section.substring(9));
+        } else {
+            toggleContactSection(header.dataset.section);
+        }
+        return;
+    }
+    
+    const item = e.target.closest('.user-item');
+    if (!item || getProfileAvatar(e.target)) return;
+    
+    if (e.target.closest('.favorite-toggle')) {
+        toggleFavorite(item.dataset.username);
+        return;
+    }
+    const user = directoryUsers.find(u => u.username === item.dataset.username);
+    if (user) openChat(user);
+}
+
+function setupListViews() {
+    const userList = document.getElementById('userList');
+    const conversationList = document.getElementById('conversationList');
+    
+    userListView = createVirtualList(userList);
+    conversationListView = createVirtualList(conversationList);
+    userList.addEventListener('click', handleUserListClick);
+    conversationList.addEventListener('click', handleConversationListClick);
+}
+
+/**
+ * Batch list renders from presence bursts and message floods into one frame
+ */
+function scheduleListRender(list) {
+    pendingListRenders[list] = true;
+    if (listRenderFrame) return;
+    
+    listRenderFrame = requestAnimationFrame(() => {
+        listRenderFrame = null;
+        const pending = pendingListRenders;
+        pendingListRenders = { users: false, conversations: false };
+        
+        if (pending.users) drawUserList();
+        if (pending.conversations) drawConversationList();
+    });
+}
+
+/**
+ * A windowed list inside a scrolling container. Only rows in (or near) view
+ * get DOM; each keeps its element across updates and is only rewritten when
+ * its HTML changes, so scroll position and focus survive re-renders.
+ * Rows are { key, type, render() } with one height per type, measured from the first real row.
+ */
+function createVirtualList(container) {
+    const canvas = document.createElement('div');
+    canvas.className = 'virtual-canvas';
+    
+    const heights = { header: 30, item: 58 };  // fixed in CSS (.virtual-row); re-measured in case zoom changes them
+    const measured = new Set();
+    const mounted = new Map();  // key -> { el, type, html }
+    let rows = [];
+    let offsets = [];
+    let scrollFrame = null;
+    
+    function layout() {
+        let top = 0;
+        offsets = rows.map(row => {
+            const offset = top;
+            top += heights[row.type];
+            return offset;
+        });
+        canvas.style.height = top + 'px';
+    }
+    
+    function firstRowBelow(y) {
+        let lo = 0;
+        let hi = rows.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (offsets[mid] + heights[rows[mid].type] <= y) lo = mid + 1;
+            else hi = mid;
+        }
+        return lo;
+    }
+    
+    function update() {
+        if (canvas.parentNode !== container) {
+            // Something else (an empty or error state) replaced our content
+            container.innerHTML = '';
+            canvas.innerHTML = '';
+            container.appendChild(canvas);
+            mounted.clear();
+        }
+        
+        const viewHeight = container.clientHeight || window.innerHeight;
+        const top = Math.max(0, container.scrollTop - CONFIG.listOverscanPx);
+        const bottom = container.scrollTop + viewHeight + CONFIG.listOverscanPx;
+        const visible = new Set();
+        
+        for (let i = firstRowBelow(top); i < rows.length && offsets[i] < bottom; i++) {
+            const row = rows[i];
+            visible.add(row.key);
+            
+            let entry = mounted.get(row.key);
+            if (!entry) {
+                const el = document.createElement('div');
+                el.className = 'virtual-row';
+                if (row.type === 'item') el.tabIndex = 0;
+                canvas.appendChild(el);
+                entry = { el, type: row.type, html: null };
+                mounted.set(row.key, entry);
+            }
+            
+            const html = row.render();
+            if (html !== entry.html) {
+                entry.el.innerHTML = html;
+                entry.html = html;
+            }
+            entry.el.style.transform = `translateY(${offsets[i]}px)`;
+        }
+        
+        mounted.forEach((entry, key) => {
+            if (!visible.has(key)) {
+                entry.el.remove();
+                mounted.delete(key);
+            }
+        });
+        
+        measure();
+    }
+    
+    function measure() {
+        let changed = false;
+        mounted.forEach(entry => {
+            if (measured.has(entry.type)) return;
+            const height = entry.el.offsetHeight;
+            if (height > 0) {
+                measured.add(entry.type);
+                if (height !== heights[entry.type]) {
+                    heights[entry.type] = height;
+                    changed = true;
+                }
+            }
+        });
+        
+        if (changed) {
+            layout();
+            update();
+        }
+    }
+    
+    container.addEventListener('scroll', () => {
+        if (scrollFrame) return;
+        scrollFrame = requestAnimationFrame(() => {
+            scrollFrame = null;
+            update();
+        });
+    });
+    
+    // Enter on a focused row acts like a click
+    container.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && e.target.classList.contains('virtual-row')) {
+            e.target.querySelector('.user-item')?.click();
+        }
+    });
+    
+    return {
+        setRows(newRows) {
+            rows = newRows;
+            layout();
+            update();
+        },
+        
+        showEmpty(html) {
+            rows = [];
+            mounted.clear();
+            container.innerHTML = html;
+        },
+        
+        refresh: update
+    };
+}
+
+/**
+ * Run an action handed over by a ribbon command (see functions.html)
+ */
+function handlePendingAction() {
+    const action = takePendingAction();
+    if (!action) return;
+    
+    if (action.type === 'openChat') {
+        const user = directoryUsers.find(u => u.email?.toLowerCase() === action.email.toLowerCase());
+        if (user) {
+            openChat(user);
+        } else {
+            showError(`${action.email} is not in the directory`);
+        }
+    }
+}
+
+/**
+ * Listen for the selected item changing (pinned task pane) and load its people
+ */
+function watchCurrentItem() {
+    const mailbox = Office.context.mailbox;
+    if (!mailbox) return;
+    
+    mailbox.addHandlerAsync(Office.EventType.ItemChanged, () => {
+        loadContextPeople();
+    });
+    
+    loadContextPeople();
+}
+
+/**
+ * Collect sender, To and CC of the open item that are in the directory
+ */
+async function loadContextPeople() {
+    const item = Office.context.mailbox?.item;
+    
+    if (!item) {
+        contextEmails = [];
+        renderContextPeople();
+        return;
+    }
+    
+    // Compose mode recipients change as you type
+    if (item.addHandlerAsync && Office.EventType.RecipientsChanged && !item.itemId && recipientsWatchedItem !== item) {
+        recipientsWatchedItem = item;
+        item.addHandlerAsync(Office.EventType.RecipientsChanged, () => loadContextPeople());
+    }
+    
+    try {
+        const [from, to, cc] = await Promise.all([
+            getItemRecipients(item.from),
+            getItemRecipients(item.to),
+            getItemRecipients(item.cc)
+        ]);
+        
+        const mine = currentUserEmail.toLowerCase();
+        const emails = [...from, ...to, ...cc]
+            .map(r => r.emailAddress?.toLowerCase())
+            .filter(e => e && e !== mine);
+        
+        contextEmails = [...new Set(emails)]
+            .filter(e => directoryUsers.some(u => u.email?.toLowerCase() === e));
+    } catch (error) {
+        console.error('Failed to read item recipients:', error);
+        contextEmails = [];
+    }
+    
+    renderContextPeople();
+    
+    if (contextEmails.length > 0) {
+        loadCalendarStatus(contextEmails);
+    }
+}
+
+/**
+ * Read a From/To/CC field in read mode (value) or compose mode (getAsync)
+ */
+function getItemRecipients(field) {
+    if (!field) return Promise.resolve([]);
+    
+    if (typeof field.getAsync === 'function') {
+        return new Promise((resolve) => {
+            field.getAsync((result) => {
+                if (result.status === Office.AsyncResultStatus.Succeeded) {
+                    const value = result.value;
+                    resolve(Array.isArray(value) ? value : value ? [value] : []);
+                } else {
+                    resolve([]);
+                }
+            });
+        });
+    }
+    
+    return Promise.resolve(Array.isArray(field) ? field : [field]);
+}
+
+/**
+ * Render the "On this email" section at the top of the People tab
+ */
+function renderContextPeople() {
+    const section = document.getElementById('contextSection');
+    const container = document.getElementById('contextList');
+    
+    const users = contextEmails
+        .map(e => directoryUsers.find(u => u.email?.toLowerCase() === e))
+        .filter(u => u);
+    
+    if (users.length === 0) {
+        section.style.display = 'none';
+        return;
+    }
+    
+    section.style.display = 'block';
+    container.innerHTML = users
+        .map(u => renderUserItem(u, isShownOnline(u.username)))
+        .join('');
+    
+    container.querySelectorAll('.user-item').forEach(item => {
+        item.addEventListener('click', (e) => {
+            if (getProfileAvatar(e.target)) return;
+            if (e.target.closest('.favorite-toggle')) {
+                toggleFavorite(item.dataset.username);
+                return;
+            }
+            const user = directoryUsers.find(u => u.username === item.dataset.username);
+            if (user) openChat(user);
+        });
+    });
+}
+
+/**
+ * Render a single user item
+ */
+function renderUserItem(user, isOnline) {
+    const { statusClass, statusText } = getPresenceDisplay(user);
+    
+    const convo = conversations[user.username.toLowerCase()];
+    const unread = convo?.unreadCount || 0;
+    const autoReply = userPresence[user.email?.toLowerCase()]?.automaticReply;
+    
+    return `
+        <div class="user-item" data-username="${user.username}">
+            <div class="user-avatar ${statusClass}">
+                ${renderAvatarContent(user)}
+            </div>
+            <div class="user-info">
+                <div class="user-name">
+                    ${user.displayName || user.username}
+                    ${autoReply?.message ? '<i class="fas fa-plane oof-marker" title="Automatic replies are on"></i>' : ''}
+                </div>
+                <div class="user-status">
+                    <i class="fas fa-circle status-icon ${statusClass}"></i>
+                    <span class="user-status-text">${statusText}${user.department ? ' · ' + user.department : ''}</span>
+                </div>
+            </div>
+            ${unread > 0 ? `<div class="user-unread">${unread}</div>` : ''}
+            <i class="${isFavorite(user.username) ? 'fas active' : 'far'} fa-star favorite-toggle"
+               title="${isFavorite(user.username) ? 'Remove from favorites' : 'Add to favorites'}"></i>
+        </div>
+    `;
+}
+
+/**
+ * Whether to show a user as online; appearing offline counts as offline
+ */
+function isShownOnline(username) {
+    const key = username.toLowerCase();
+    return onlineUsers.has(key) && userPresence[key]?.status !== 'AppearOffline';
+}
+
+/**
+ * Work out the presence class and text to show for a directory user
+ */
+function getPresenceDisplay(user) {
+    const isOnline = isShownOnline(user.username);
+    const hubPresence = userPresence[user.username.toLowerCase()] || {};
+    const calPresence = userPresence[user.email?.toLowerCase()] || {};
+    const calStatus = calPresence.calendarStatus || hubPresence.calendarStatus;
+    
+    const until = calPresence.calendarUntil ? ' until ' + formatTime(calPresence.calendarUntil) : '';
+    
+    if (!isOnline) {
+        if (calStatus === 'oof') {
+            return { statusClass: 'offline', statusText: 'Out of office' };
+        }
+        return { statusClass: 'offline', statusText: 'Offline' };
+    }
+    
+    // A status the user picked wins over their calendar
+    const chosen = PRESENCE_STATUSES[hubPresence.status];
+    if (chosen && hubPresence.status !== 'Available') {
+        return { statusClass: chosen.className, statusText: chosen.label };
+    }
+    
+    // Override with calendar status if busy
+    switch (calStatus) {
+        case 'busy':
+            return { statusClass: 'busy', statusText: 'In a meeting' + until };
+        case 'tentative':
+            return { statusClass: 'away', statusText: 'Tentative meeting' + until };
+        case 'oof':
+            return { statusClass: 'oof', statusText: 'Out of office' };
+        case 'workingElsewhere':
+            return { statusClass: 'available', statusText: 'Working elsewhere' + until };
+    }
+    
+    if (calPresence.calendarFreeUntil) {
+        return { statusClass: 'available', statusText: 'Free until ' + formatTime(calPresence.calendarFreeUntil) };
+    }
+    
+    return { statusClass: 'available', statusText: 'Online' };
+}
+
+/**
+ * Render conversation list (batched into the next frame)
+ */
+function renderConversationList() {
+    scheduleListRender('conversations');
+}
+
+function drawConversationList() {
+    const convos = Object.entries(conversations)
+        .filter(([key, c]) => c.lastMessage || isGroupKey(key))
+        .sort((a, b) => new Date(b[1].lastMessageTime) - new Date(a[1].lastMessageTime));
+    
+    if (convos.length === 0) {
+        conversationListView.showEmpty(`
+            <div class="empty-state">
+                <i class="fas fa-comment-slash"></i>
+                <div>No conversations yet</div>
+                <div style="font-size: 11px; margin-top: 4px;">Start chatting from the People tab</div>
+            </div>
+        `);
+        return;
+    }
+    
+    conversationListView.setRows(convos.map(([key, convo]) => ({
+        key,
+        type: 'item',
+        render: () => isGroupKey(key) ? renderGroupItem(key, convo) : renderConversationItem(key, convo)
+    })));
+}
+
+/**
+ * Render a one-to-one conversation row
+ */
+function renderConversationItem(username, convo) {
+    const user = directoryUsers.find(u => u.username.toLowerCase() === username.toLowerCase()) || { username, displayName: username };
+    const isOnline = isShownOnline(username);
+    
+    return `
+        <div class="user-item" data-key="${username}">
+            <div class="user-avatar ${isOnline ? 'available' : 'offline'}">
+                ${renderAvatarContent(user)}
+            </div>
+            <div class="user-info">
+                <div class="user-name">${user.displayName || username}${renderMutedIcon(username)}</div>
+                <div class="user-status" style="max-width: 180px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">
+                    ${escapeHtml(stripFormatting(convo.lastMessage || ''))}
+                </div>
+            </div>
+            ${convo.unreadCount > 0 ? `<div class="user-unread">${convo.unreadCount}</div>` : ''}
+        </div>
+    `;
+}
+
+function handleConversationListClick(e) {
+    const item = e.target.closest('.user-item');
+    if (!item || getProfileAvatar(e.target)) return;
+    
+    const key = item.dataset.key;
+    if (isGroupKey(key)) {
+        const group = groups[key.substring(6)];
+        if (group) openGroupChat(group);
+        return;
+    }
+    const user = directoryUsers.find(u => u.username.toLowerCase() === key) || { username: key, displayName: key };
+    openChat(user);
+}
+
+/**
+ * Render a group conversation row
+ */
+function renderGroupItem(key, convo) {
+    const group = groups[key.substring(6)] || { name: 'Group chat', members: [] };
+    const preview = convo.lastMessage
+        ? (convo.lastMessageSender ? getDisplayName(convo.lastMessageSender) + ': ' : '') + stripFormatting(convo.lastMessage)
+        : `${group.members.length} members`;
+    
+    return `
+        <div class="user-item" data-key="${key}">
+            <div class="user-avatar group">
+                <i class="fas fa-users"></i>
+            </div>
+            <div class="user-info">
+                <div class="user-name">${escapeHtml(group.name)}${renderMutedIcon(key)}</div>
+                <div class="user-status" style="max-width: 180px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">
+                    ${escapeHtml(preview)}
+                </div>
+            </div>
+            ${convo.unreadCount > 0 ? `<div class="user-unread">${convo.unreadCount}</div>` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Open chat with user
+ */
+async function openChat(user) {
+    activeChatUser = user;
+    activeGroup = null;
+    hideGroupMembers();
+    hideExportPanel();
+    clearPendingAttachments();
+    if (editingMessageId || editingScheduledId) cancelEdit();
+    cancelReply();
+    hideSendLaterMenu();
+    
+    // Update header
+    document.getElementById('chatAvatar').innerHTML = renderAvatarContent(user);
+    document.getElementById('chatAvatar').className = 'user-avatar';
+    document.getElementById('chatName').textContent = user.displayName || user.username;
+    
+    document.getElementById('chatStatus').textContent = getPresenceDisplay(user).statusText;
+    
+    // Show their automatic reply, if any
+    showAutomaticReply(user);
+    
+    // Make sure the header has fresh calendar details
+    const calPresence = userPresence[user.email?.toLowerCase()];
+    if (user.email && (!calPresence?.calendarCheckedAt || Date.now() - calPresence.calendarCheckedAt > 5 * 60 * 1000)) {
+        loadCalendarStatus([user.email]);
+    }
+    document.getElementById('chatStatus').classList.remove('clickable');
+    document.getElementById('chatView').classList.remove('group');
+    updateMuteButton();
+    
+    // Show chat view
+    showChatView();
+    renderScheduledMessages();
+    
+    // Load message history
+    await loadMessageHistory(user.username);
+    renderOutboxMessages(user.username.toLowerCase());
+    
+    // Mark as read
+    markConversationRead(user.username);
+    
+    // Focus input
+    document.getElementById('messageInput').focus();
+}
+
+/**
+ * Open a group chat
+ */
+async function openGroupChat(group) {
+    activeGroup = group;
+    activeChatUser = null;
+    hideGroupMembers();
+    hideExportPanel();
+    hideAutomaticReply();
+    clearPendingAttachments();
+    if (editingMessageId || editingScheduledId) cancelEdit();
+    cancelReply();
+    hideSendLaterMenu();
+    
+    // Update header
+    const avatar = document.getElementById('chatAvatar');
+    avatar.innerHTML = '<i class="fas fa-users"></i>';
+    avatar.className = 'user-avatar group';
+    document.getElementById('chatName').textContent = group.name;
+    updateGroupHeader();
+    document.getElementById('chatView').classList.add('group');
+    updateMuteButton();
+    
+    showChatView();
+    renderScheduledMessages();
+    
+    await loadMessageHistory(groupKey(group.id));
+    renderOutboxMessages(groupKey(group.id));
+    
+    markConversationRead(groupKey(group.id));
+    
+    document.getElementById('messageInput').focus();
+}
+
+/**
+ * Show the chat view in place of the list panels
+ */
+function showChatView() {
+    document.getElementById('settingsView').classList.remove('active');
+    document.getElementById('peoplePanel').classList.remove('active');
+    document.getElementById('chatsPanel').classList.remove('active');
+    document.getElementById('chatView').classList.add('active');
+}
+
+/**
+ * Update the group chat header member summary
+ */
+function updateGroupHeader() {
+    if (!activeGroup) return;
+    const onlineCount = activeGroup.members.filter(m => isShownOnline(m)).length;
+    const statusEl = document.getElementById('chatStatus');
+    statusEl.textContent = `${activeGroup.members.length} members · ${onlineCount} online`;
+    statusEl.classList.add('clickable');
+}
+
+/**
+ * Load message history for a conversation key (username or group key)
+ */
+async function loadMessageHistory(key) {
+    const container = document.getElementById('chatMessages');
+    container.innerHTML = '<div class="loading"><i class="fas fa-spinner fa-spin"></i> Loading messages...</div>';
+    historyState = { key, oldest: null, hasMore: false, loading: true };
+    
+    // Show cached history right away and only fetch what is newer
+    const cached = await cacheGet('messages', key);
+    if (historyState.key !== key) return;
+    
+    if (cached && cached.messages.length > 0) {
+        historyState.loading = false;
+        renderMessageHistory(cached.messages, cached.hasMore);
+        await syncNewerMessages(key, cached);
+        return;
+    }
+    
+    try {
+        const response = await authFetch(
+            `${CONFIG.intranetUrl}${CONFIG.chatApi}${getMessagesPath(key)}?limit=${CONFIG.historyPageSize}`,
+            { credentials: 'include' }
+        );
+        
+        if (historyState.key !== key) return;
+        historyState.loading = false;
+        
+        if (response.ok) {
+            const messages = await response.json();
+            reconcileOutbox(messages);
+            
+            if (messages.length === 0) {
+                container.innerHTML = `
+                    <div class="empty-state">
+                        <i class="fas fa-comment"></i>
+                        <div>No messages yet</div>
+                        <div style="font-size: 11px; margin-top: 4px;">Say hi!</div>
+                    </div>
+                `;
+                return;
+            }
+            
+            const hasMore = messages.length >= CONFIG.historyPageSize;
+            renderMessageHistory(messages, hasMore);
+            queueCacheWrite(key, () => cachePutMessages(key, messages, hasMore));
+        }
+    } catch (error) {
+        console.error('Failed to load messages:', error);
+        historyState.loading = false;
+        container.innerHTML = `
+            <div class="empty-state">
+                <i class="fas fa-exclamation-circle"></i>
+                <div>Could not load messages</div>
+            </div>
+        `;
+    }
+}
+
+/**
+ * Replace the chat with a page of history and scroll to the bottom
+ */
+function renderMessageHistory(messages, hasMore) {
+    const container = document.getElementById('chatMessages');
+    
+    container.innerHTML = '';
+    messages.forEach(msg => {
+        const isSent = msg.senderUsername.toLowerCase() === currentUser.username.toLowerCase();
+        appendMessage(msg, isSent);
+    });
+    
+    historyState.oldest = messages[0];
+    historyState.hasMore = hasMore;
+    if (!historyState.hasMore) {
+        showHistoryStart();
+    }
+    
+    // Scroll to bottom
+    container.scrollTop = container.scrollHeight;
+}
+
+/**
+ * Fetch messages newer than the last cached one and append them
+ */
+async function syncNewerMessages(key, cached) {
+    const last = cached.messages[cached.messages.length - 1];
+    const cursor = last.id
+        ? `afterId=${encodeURIComponent(last.id)}`
+        : `after=${encodeURIComponent(last.sentAt)}`;
+    
+    try {
+        const response = await authFetch(
+            `${CONFIG.intranetUrl}${CONFIG.chatApi}${getMessagesPath(key)}?limit=${CONFIG.historyPageSize}&${cursor}`,
+            { credentials: 'include' }
+        );
+        
+        if (historyState.key !== key || !response.ok) return;
+        
+        const newer = await response.json();
+        reconcileOutbox(newer);
+        
+        // Too far behind to stitch together; start over from the network
+        if (newer.length >= CONFIG.historyPageSize) {
+            await cacheDelete('messages', key);
+            await loadMessageHistory(key);
+            return;
+        }
+        
+        const container = document.getElementById('chatMessages');
+        const atBottom = container.scrollHeight - container.scrollTop - container.clientHeight < 40;
+        
+        newer.forEach(msg => {
+            if (msg.id && container.querySelector(`.message[data-message-id="${CSS.escape(String(msg.id))}"]`)) return;
+            const isSent = msg.senderUsername.toLowerCase() === currentUser.username.toLowerCase();
+            container.appendChild(createMessageElement(msg, isSent));
+        });
+        
+        if (atBottom) {
+            container.scrollTop = container.scrollHeight;
+        }
+        
+        if (newer.length > 0) {
+            // Re-read so live messages cached since the snapshot are kept
+            queueCacheWrite(key, async () => {
+                const latest = await cacheGet('messages', key);
+                if (!latest) return;
+                await cachePutMessages(key, mergeMessages(latest.messages, newer), latest.hasMore);
+            });
+        }
+    } catch (error) {
+        console.error('Failed to sync messages:', error);
+    }
+}
+
+/**
+ * Load the page of messages older than the oldest one on screen
+ */
+async function loadOlderMessages() {
+    const key = historyState.key;
+    const oldest = historyState.oldest;
+    if (!key || !oldest || !historyState.hasMore || historyState.loading) return;
+    
+    const container = document.getElementById('chatMessages');
+    historyState.loading = true;
+    
+    const spinner = document.createElement('div');
+    spinner.className = 'loading history-loading';
+    spinner.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Loading older messages...';
+    container.insertBefore(spinner, container.firstChild);
+    
+    const cursor = oldest.id
+        ? `beforeId=${encodeURIComponent(oldest.id)}`
+        : `before=${encodeURIComponent(oldest.sentAt)}`;
+    
+    try {
+        const response = await authFetch(
+            `${CONFIG.intranetUrl}${CONFIG.chatApi}${getMessagesPath(key)}?limit=${CONFIG.historyPageSize}&${cursor}`,
+            { credentials: 'include' }
+        );
+        
+        // Conversation changed while loading
+        if (historyState.key !== key) return;
+        
+        if (response.ok) {
+            const messages = await response.json();
+            
+            // Keep the view anchored on what the user was looking at (measured without the spinner)
+            spinner.remove();
+            const previousHeight = container.scrollHeight;
+            
+            const anchor = container.firstChild;
+            messages.forEach(msg => {
+                const isSent = msg.senderUsername.toLowerCase() === currentUser.username.toLowerCase();
+                container.insertBefore(createMessageElement(msg, isSent), anchor);
+            });
+            
+            if (messages.length > 0) {
+                historyState.oldest = messages[0];
+            }
+            historyState.hasMore = messages.length >= CONFIG.historyPageSize;
+            if (!historyState.hasMore) {
+                showHistoryStart();
+            }
+            
+            container.scrollTop += container.scrollHeight - previousHeight;
+        } else {
+            spinner.remove();
+        }
+    } catch (error) {
+        console.error('Failed to load older messages:', error);
+        spinner.remove();
+    } finally {
+        if (historyState.key === key) {
+            historyState.loading = false;
+        }
+    }
+}
+
+/**
+ * Show the "beginning of conversation" marker above the oldest message
+ */
+function showHistoryStart() {
+    const container = document.getElementById('chatMessages');
+    if (container.querySelector('.history-start')) return;
+    
+    const marker = document.createElement('div');
+    marker.className = 'history-start';
+    marker.textContent = 'Beginning of conversation';
+    container.insertBefore(marker, container.firstChild);
+}
+
+/**
+ * Append message to chat
+ */
+function appendMessage(message, isSent, status) {
+    const container = document.getElementById('chatMessages');
+    const emptyState = container.querySelector('.empty-state');
+    if (emptyState) emptyState.remove();
+    
+    container.appendChild(createMessageElement(message, isSent, status));
+    container.scrollTop = container.scrollHeight;
+}
+
+/**
+ * Build a message bubble
+ */
+function createMessageElement(message, isSent, status) {
+    const time = formatTime(message.sentAt);
+    
+    const div = document.createElement('div');
+    div.className = `message ${isSent ? 'sent' : 'received'}`;
+    div.dataset.sentAt = message.sentAt;
+    if (message.id) div.dataset.messageId = message.id;
+    if (message.clientId) div.dataset.clientId = message.clientId;
+    
+    if (message.deletedAt) {
+        div.classList.add('deleted');
+        div.innerHTML = `
+            <div class="message-content"><i class="fas fa-ban"></i> Message deleted</div>
+            <div class="message-time">${time}</div>
+        `;
+        return div;
+    }
+    
+    div.dataset.content = message.content;
+    div.dataset.sender = message.senderUsername;
+    
+    const replyTo = message.metadata?.replyTo;
+    
+    // Only plain text messages can be edited; anything we sent can be deleted, both within the edit window
+    const editWindowLeft = isSent ? getEditWindowRemaining(message.sentAt) : 0;
+    const canModify = editWindowLeft > 0;
+    const canEdit = canModify && !message.metadata?.email && !(message.metadata?.attachments || []).length;
+    
+    div.innerHTML = `
+        ${message.groupId && !isSent ? `<div class="message-sender">${escapeHtml(getDisplayName(message.senderUsername))}</div>` : ''}
+        <div class="message-actions">
+            <button class="message-action" data-action="react" title="React"><i class="far fa-face-smile"></i></button>
+            <button class="message-action" data-action="reply" title="Reply"><i class="fas fa-reply"></i></button>
+            ${canEdit ? '<button class="message-action" data-action="edit" title="Edit"><i class="fas fa-pen"></i></button>' : ''}
+            ${canModify ? '<button class="message-action" data-action="delete" title="Delete"><i class="fas fa-trash"></i></button>' : ''}
+        </div>
+        ${replyTo ? `
+            <div class="message-quote" data-reply-id="${escapeHtml(String(replyTo.id))}" title="Show original">
+                <div class="message-quote-sender">${escapeHtml(getDisplayName(replyTo.senderUsername))}</div>
+                <div class="message-quote-text">${escapeHtml(replyTo.content)}</div>
+            </div>
+        ` : ''}
+        <div class="message-content">${renderMessageBody(message)}</div>
+        <div class="message-reactions"></div>
+        <div class="message-time">${time}${message.editedAt ? ' <span class="message-edited">· edited</span>' : ''}${isSent ? ' <span class="message-status"></span>' : ''}</div>
+    `;
+    
+    renderReactions(div, message.reactions || {});
+    
+    if (canModify) {
+        setTimeout(() => removeModifyActions(div), editWindowLeft);
+    }
+    
+    if (isSent) {
+        const readBy = message.readBy || [];
+        if (status) {
+            setMessageStatus(div, status);
+        } else if (message.readAt || readBy.length > 0) {
+            readBy.forEach(r => addMessageReader(div, r));
+            setMessageStatus(div, 'read', message.readAt);
+        } else {
+            setMessageStatus(div, 'sent');
+        }
+    }
+    
+    return div;
+}
+
+/**
+ * Render the body of a message: a card for structured messages, else text
+ */
+function renderMessageBody(message) {
+    if (message.metadata?.type === 'email' && message.metadata.email) {
+        return renderEmailCard(message.metadata.email);
+    }
+    
+    const attachments = message.metadata?.attachments || [];
+    if (attachments.length > 0) {
+        // Without a caption the text is only the file names, for previews
+        const caption = message.metadata.caption === false ? '' : formatMessage(message.content);
+        return caption + attachments.map(renderAttachment).join('');
+    }
+    
+    return formatMessage(message.content);
+}
+
+/**
+ * Render an attachment: thumbnail for images, else name, size and download link
+ */
+function renderAttachment(attachment) {
+    const url = getAttachmentUrl(attachment.url);
+    const name = escapeHtml(attachment.fileName || 'attachment');
+    const size = attachment.size ? formatFileSize(attachment.size) : '';
+    
+    if (!url) {
+        return `<div class="attachment-file"><i class="fas fa-file"></i> ${name}</div>`;
+    }
+    
+    if ((attachment.contentType || '').startsWith('image/')) {
+        const thumb = getAttachmentUrl(attachment.thumbnailUrl) || url;
+        return `
+            <a class="attachment-image" href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer" title="${name}">
+                <img src="${escapeHtml(thumb)}" alt="${name}">
+            </a>
+        `;
+    }
+    
+    return `
+        <div class="attachment-file">
+            <i class="fas ${getFileIcon(attachment.fileName)}"></i>
+            <div class="attachment-info">
+                <div class="attachment-name">${name}</div>
+                <div class="attachment-size">${size}</div>
+            </div>
+            <a class="attachment-download" href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer" download="${name}" title="Download">
+                <i class="fas fa-download"></i>
+            </a>
+        </div>
+    `;
+}
+
+/**
+ * Resolve an attachment URL from the server; only our server or https links
+ */
+function getAttachmentUrl(url) {
+    if (!url) return null;
+    if (url.startsWith('/')) return CONFIG.intranetUrl + url;
+    return /^https:\/\//i.test(url) ? url : null;
+}
+
+function getFileIcon(fileName) {
+    const ext = (fileName || '').split('.').pop().toLowerCase();
+    const icons = {
+        pdf: 'fa-file-pdf',
+        doc: 'fa-file-word', docx: 'fa-file-word',
+        xls: 'fa-file-excel', xlsx: 'fa-file-excel', csv: 'fa-file-excel',
+        ppt: 'fa-file-powerpoint', pptx: 'fa-file-powerpoint',
+        zip: 'fa-file-zipper', msg: 'fa-envelope', eml: 'fa-envelope',
+        txt: 'fa-file-lines'
+    };
+    return icons[ext] || 'fa-file';
+}
+
+/**
+ * Upload a file to the chat API; resolves with the stored attachment
+ */
+async function uploadAttachment(file, fileName) {
+    const form = new FormData();
+    form.append('file', file, fileName);
+    
+    const response = await authFetch(CONFIG.intranetUrl + CONFIG.chatApi + '/attachments', {
+        method: 'POST',
+        credentials: 'include',
+        body: form
+    });
+    
+    if (!response.ok) {
+        throw new Error('Upload failed (' + response.status + ')');
+    }
+    
+    return response.json();  // { id, fileName, contentType, size, url, thumbnailUrl }
+}
+
+/**
+ * Add files to the composer and upload them straight away
+ */
+function addAttachments(files) {
+    Array.from(files).forEach(file => {
+        const fileName = file.name || `pasted-image-${Date.now()}.png`;
+        
+        if (file.size > CONFIG.maxAttachmentMb * 1024 * 1024) {
+            showError(`${fileName} is larger than ${CONFIG.maxAttachmentMb} MB`);
+            return;
+        }
+        
+        const pending = {
+            localId: 'a-' + Date.now().toString(36) + Math.random().toString(36).substring(2, 6),
+            fileName,
+            size: file.size,
+            uploading: true,
+            attachment: null
+        };
+        pendingAttachments.push(pending);
+        renderPendingAttachments();
+        
+        uploadAttachment(file, fileName)
+            .then(attachment => {
+                pending.uploading = false;
+                pending.attachment = attachment;
+                renderPendingAttachments();
+            })
+            .catch(error => {
+                console.error('Attachment upload failed:', error);
+                showError(`Could not upload ${fileName}`);
+                removePendingAttachment(pending.localId);
+            });
+    });
+}
+
+function removePendingAttachment(localId) {
+    pendingAttachments = pendingAttachments.filter(a => a.localId !== localId);
+    renderPendingAttachments();
+}
+
+function clearPendingAttachments() {
+    pendingAttachments = [];
+    renderPendingAttachments();
+}
+
+/**
+ * Render the chips for attachments waiting to be sent
+ */
+function renderPendingAttachments() {
+    const container = document.getElementById('pendingAttachments');
+    
+    container.innerHTML = pendingAttachments.map(a => `
+        <span class="attachment-chip" data-local-id="${a.localId}">
+            <i class="fas ${a.uploading ? 'fa-spinner fa-spin' : getFileIcon(a.fileName)}"></i>
+            ${escapeHtml(a.fileName)}
+            <span class="attachment-size">${formatFileSize(a.size)}</span>
+            <i class="fas fa-times attachment-remove" title="Remove"></i>
+        </span>
+    `).join('');
+    
+    container.querySelectorAll('.attachment-remove').forEach(btn => {
+        btn.addEventListener('click', () => {
+            removePendingAttachment(btn.closest('.attachment-chip').dataset.localId);
+        });
+    });
+}
+
+/**
+ * Pick files from disk
+ */
+function chooseAttachmentFiles() {
+    document.getElementById('attachmentInput').click();
+}
+
+/**
+ * Show the open Outlook item's attachments to attach one
+ */
+async function toggleItemAttachments() {
+    const menu = document.getElementById('itemAttachmentMenu');
+    if (menu.classList.contains('show')) {
+        menu.classList.remove('show');
+        return;
+    }
+    
+    const item = Office.context.mailbox?.item;
+    const list = item ? await getItemAttachments(item) : [];
+    const files = list.filter(a => !a.isInline && a.attachmentType !== 'cloud');
+    
+    menu.innerHTML = files.length > 0
+        ? files.map(a => `
+            <div class="item-attachment" data-id="${escapeHtml(a.id)}" data-name="${escapeHtml(a.name)}">
+                <i class="fas ${getFileIcon(a.name)}"></i> ${escapeHtml(a.name)}
+                <span class="attachment-size">${formatFileSize(a.size)}</span>
+            </div>
+        `).join('')
+        : '<div class="item-attachment-empty">No attachments on the open email</div>';
+    
+    menu.querySelectorAll('.item-attachment').forEach(el => {
+        el.addEventListener('click', () => {
+            menu.classList.remove('show');
+            attachFromItem(el.dataset.id, el.dataset.name);
+        });
+    });
+    
+    menu.classList.add('show');
+}
+
+/**
+ * Attachments on the item in read mode (property) or compose mode (getAttachmentsAsync)
+ */
+function getItemAttachments(item) {
+    if (item.attachments) return Promise.resolve(item.attachments);
+    if (!item.getAttachmentsAsync) return Promise.resolve([]);
+    
+    return new Promise((resolve) => {
+        item.getAttachmentsAsync((result) => {
+            resolve(result.status === Office.AsyncResultStatus.Succeeded ? result.value : []);
+        });
+    });
+}
+
+/**
+ * Attach a file from the open Outlook item without saving it to disk
+ */
+function attachFromItem(attachmentId, name) {
+    const item = Office.context.mailbox.item;
+    
+    item.getAttachmentContentAsync(attachmentId, (result) => {
+        if (result.status !== Office.AsyncResultStatus.Succeeded) {
+            console.error('Could not read attachment:', result.error);
+            showError(`Could not read ${name}`);
+            return;
+        }
+        
+        const { format, content } = result.value;
+        let blob;
+        
+        if (format === Office.MailboxEnums.AttachmentContentFormat.Base64) {
+            const bytes = Uint8Array.from(atob(content), c => c.charCodeAt(0));
+            blob = new Blob([bytes], { type: getMimeType(name) });
+        } else if (format === Office.MailboxEnums.AttachmentContentFormat.Eml) {
+            blob = new Blob([content], { type: 'message/rfc822' });
+        } else if (format === Office.MailboxEnums.AttachmentContentFormat.ICalendar) {
+            blob = new Blob([content], { type: 'text/calendar' });
+        } else {
+            // Url format (cloud attachments) cannot be uploaded
+            showError(`${name} is a link and cannot be attached`);
+            return;
+        }
+        
+        addAttachments([new File([blob], name, { type: blob.type })]);
+    });
+}
+
+function getMimeType(fileName) {
+    const ext = (fileName || '').split('.').pop().toLowerCase();
+    const types = {
+        png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif',
+        pdf: 'application/pdf', txt: 'text/plain', csv: 'text/csv'
+    };
+    return types[ext] || 'application/octet-stream';
+}
+
+/**
+ * Utility: Human-readable file size
+ */
+function formatFileSize(bytes) {
+    if (!bytes && bytes !== 0) return '';
+    if (bytes < 1024) return bytes + ' B';
+    if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(0) + ' KB';
+    return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+}
+
+/**
+ * Render a shared email as a card
+ */
+function renderEmailCard(email) {
+    const received = email.receivedAt
+        ? new Date(email.receivedAt).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })
+        : '';
+    
+    return `
+        <div class="email-card" data-item-id="${escapeHtml(email.itemId || '')}" title="Open in Outlook">
+            <div class="email-card-header"><i class="fas fa-envelope"></i> Email</div>
+            <div class="email-card-subject">${escapeHtml(email.subject || '(no subject)')}</div>
+            <div class="email-card-meta">
+                ${escapeHtml(email.senderName || email.senderEmail || '')}${received ? ' · ' + received : ''}
+            </div>
+            <div class="email-card-note"></div>
+        </div>
+    `;
+}
+
+/**
+ * Open a shared email card with displayMessageForm, or explain why we can't
+ */
+function openSharedEmail(card) {
+    const itemId = card.dataset.itemId;
+    const note = card.querySelector('.email-card-note');
+    const showUnavailable = () => {
+        note.textContent = "You don't have access to this message in your mailbox. Ask the sender to forward it.";
+    };
+    
+    const mailbox = Office.context.mailbox;
+    if (!itemId || !mailbox) {
+        showUnavailable();
+        return;
+    }
+    
+    if (mailbox.displayMessageFormAsync) {
+        mailbox.displayMessageFormAsync(itemId, (result) => {
+            if (result.status === Office.AsyncResultStatus.Failed) {
+                console.warn('Could not open shared email:', result.error);
+                showUnavailable();
+            }
+        });
+        return;
+    }
+    
+    try {
+        mailbox.displayMessageForm(itemId);
+    } catch (error) {
+        console.warn('Could not open shared email:', error);
+        showUnavailable();
+    }
+}
+
+/**
+ * Share the currently selected email into the active chat
+ */
+function shareCurrentEmail() {
+    const item = Office.context.mailbox?.item;
+    
+    if (!getActiveConversationKey()) return;
+    
+    const email = buildEmailShare(item);
+    if (!email) {
+        showError('Select an email in Outlook to share it');
+        return;
+    }
+    
+    queueOutboxMessage(describeEmailShare(email), { type: 'email', email });
+    flushOutbox();
+}
+
+/**
+ * Set the delivery status shown on a sent bubble: sending, sent or read
+ */
+function setMessageStatus(el, status, readAt) {
+    const statusEl = el.querySelector('.message-status');
+    if (!statusEl) return;
+    
+    el.dataset.status = status;
+    statusEl.className = 'message-status ' + status;
+    
+    switch (status) {
+        case 'sending':
+            statusEl.innerHTML = '<i class="far fa-clock"></i>';
+            statusEl.title = 'Sending...';
+            break;
+        case 'pending':
+            statusEl.innerHTML = '<i class="far fa-clock"></i> Pending';
+            statusEl.title = 'Waiting for connection';
+            break;
+        case 'failed':
+            statusEl.innerHTML = `<i class="fas fa-exclamation-circle"></i> Failed
+                <a href="#" class="message-retry" onclick="retryOutboxMessage('${el.dataset.clientId}'); return false;">Retry</a>`;
+            statusEl.title = 'Not sent';
+            break;
+        case 'sent':
+            statusEl.innerHTML = '<i class="fas fa-check"></i>';
+            statusEl.title = 'Sent';
+            break;
+        case 'read': {
+            const readers = el.dataset.readers ? el.dataset.readers.split(',') : [];
+            const readText = readers.length > 0
+                ? 'Read by ' + readers.map(getDisplayName).join(', ')
+                : 'Read';
+            statusEl.innerHTML = '<i class="fas fa-check-double"></i>' + (readAt ? ' ' + formatTime(readAt) : '');
+            statusEl.title = readText + (readAt ? ' at ' + formatTime(readAt) : '');
+            break;
+        }
+    }
+}
+
+/**
+ * Record a group member as having read a sent bubble
+ */
+function addMessageReader(el, username) {
+    const readers = el.dataset.readers ? el.dataset.readers.split(',') : [];
+    if (!readers.includes(username)) {
+        readers.push(username);
+        el.dataset.readers = readers.join(',');
+    }
+}
+
+/**
+ * Replace the pending bubble for a confirmed message, or append it
+ */
+function confirmSentMessage(message) {
+    const container = document.getElementById('chatMessages');
+    
+    // Already shown (e.g. confirmed twice after a resend)
+    if (message.id && container.querySelector(`.message[data-message-id="${CSS.escape(String(message.id))}"]`)) {
+        return;
+    }
+    
+    const pending = message.clientId
+        ? container.querySelector(`.message.sent[data-client-id="${CSS.escape(message.clientId)}"]`)
+        : null;
+    
+    if (!pending) {
+        appendMessage(message, true);
+        return;
+    }
+    
+    if (message.id) pending.dataset.messageId = message.id;
+    pending.dataset.sentAt = message.sentAt;
+    pending.querySelector('.message-time').firstChild.textContent = formatTime(message.sentAt) + ' ';
+    setMessageStatus(pending, 'sent');
+}
+
+/**
+ * Mark sent bubbles up to readAt as read by a user
+ */
+function markSentMessagesRead(username, readAt) {
+    const cutoff = readAt ? new Date(readAt) : null;
+    
+    document.querySelectorAll('#chatMessages .message.sent').forEach(el => {
+        // Pending, sending and failed bubbles have not reached the server yet
+        if (el.dataset.status !== 'sent' && el.dataset.status !== 'read') return;
+        if (cutoff && new Date(el.dataset.sentAt) > cutoff) return;
+        
+        if (activeGroup) {
+            addMessageReader(el, username);
+        }
+        setMessageStatus(el, 'read', readAt);
+    });
+}
+
+/**
+ * Send message
+ */
+async function sendMessage() {
+    const input = document.getElementById('messageInput');
+    const content = input.value.trim();
+    
+    if (editingMessageId) {
+        await saveEdit(content);
+        return;
+    }
+    
+    if (editingScheduledId) {
+        await saveScheduledMessage({ content });
+        return;
+    }
+    
+    const outgoing = getComposerMessage();
+    if (!outgoing) return;
+    
+    // Queue in the outbox and show it straight away until MessageSent confirms it
+    queueOutboxMessage(outgoing.text, outgoing.metadata);
+    clearComposer();
+    
+    // Goes out behind anything still queued so the order is kept
+    await flushOutbox();
+    
+    // Stop typing indicator
+    if (isTyping && isConnected()) {
+        try {
+            await sendTypingState(false);
+        } catch (e) {
+            console.error('Failed to stop typing:', e);
+        }
+        isTyping = false;
+    }
+}
+
+/**
+ * The message in the composer as { text, metadata }, or null if there is nothing to send
+ */
+function getComposerMessage() {
+    const content = document.getElementById('messageInput').value.trim();
+    
+    if ((!content && pendingAttachments.length === 0) || !getActiveConversationKey()) return null;
+    
+    if (pendingAttachments.some(a => a.uploading)) {
+        showError('Wait for attachments to finish uploading');
+        return null;
+    }
+    
+    const attachments = pendingAttachments.map(a => a.attachment);
+    let metadata = attachments.length > 0 ? { attachments, caption: Boolean(content) } : null;
+    const text = content || attachments.map(a => '[File] ' + a.fileName).join('\n');
+    
+    if (replyingTo) {
+        metadata = { ...metadata, replyTo: replyingTo };
+    }
+    
+    return { text, metadata };
+}
+
+function clearComposer() {
+    const input = document.getElementById('messageInput');
+    input.value = '';
+    input.style.height = 'auto';
+    clearPendingAttachments();
+    cancelReply();
+    updateComposerPreview();
+}
+
+/**
+ * Record a message as the conversation's latest
+ */
+function updateConversationSummary(key, message) {
+    if (!conversations[key]) {
+        conversations[key] = { messages: [], unreadCount: 0 };
+    }
+    
+    const convo = conversations[key];
+    convo.lastMessage = message.content;
+    convo.lastMessageId = message.id;
+    convo.lastMessageSender = message.groupId ? message.senderUsername : null;
+    convo.lastMessageTime = message.sentAt;
+}
+
+/**
+ * Milliseconds left to edit or delete a message sent at sentAt (0 once it has passed)
+ */
+function getEditWindowRemaining(sentAt) {
+    const age = Date.now() - new Date(sentAt).getTime();
+    return Math.max(0, CONFIG.editWindowMinutes * 60 * 1000 - age);
+}
+
+/**
+ * Whether a sent bubble is still inside the edit/delete window
+ */
+function canModifyMessage(el) {
+    return getEditWindowRemaining(el.dataset.sentAt) > 0;
+}
+
+/**
+ * Take the edit and delete buttons off a bubble whose window has passed
+ */
+function removeModifyActions(el) {
+    el.querySelectorAll('.message-action[data-action="edit"], .message-action[data-action="delete"]').forEach(b => b.remove());
+}
+
+/**
+ * Handle the edit/delete buttons on a sent bubble
+ */
+function handleMessageAction(button) {
+    const el = button.closest('.message');
+    const messageId = el.dataset.messageId;
+    if (!messageId) return;
+    
+    if (button.dataset.action === 'react') {
+        showReactionPicker(el);
+        return;
+    }
+    
+    if (button.dataset.action === 'reply') {
+        startReply(el);
+        return;
+    }
+    
+    if (!canModifyMessage(el)) {
+        showError(`Messages can only be changed within ${CONFIG.editWindowMinutes} minutes`);
+        removeModifyActions(el);
+        return;
+    }
+    
+    if (button.dataset.action === 'edit') {
+        startEdit(el);
+    } else if (button.dataset.action === 'delete') {
+        // Second click confirms
+        if (button.classList.contains('confirm')) {
+            deleteMessage(messageId);
+        } else {
+            button.classList.add('confirm');
+            button.title = 'Click again to delete';
+            setTimeout(() => button.classList.remove('confirm'), 3000);
+        }
+    }
+}
+
+/**
+ * Quote a message in the composer as the one being replied to
+ */
+function startReply(el) {
+    if (editingMessageId) cancelEdit();
+    
+    replyingTo = {
+        id: el.dataset.messageId,
+        senderUsername: el.dataset.sender,
+        content: stripFormatting(el.dataset.content || '').substring(0, 100)
+    };
+    
+    document.getElementById('replySender').textContent = getDisplayName(replyingTo.senderUsername);
+    document.getElementById('replyText').textContent = replyingTo.content;
+    document.getElementById('replyBanner').classList.add('show');
+    document.getElementById('messageInput').focus();
+}
+
+function cancelReply() {
+    replyingTo = null;
+    document.getElementById('replyBanner').classList.remove('show');
+}
+
+/**
+ * Scroll to a message and highlight it, loading older history until it is found
+ */
+async function scrollToMessage(messageId) {
+    const key = historyState.key;
+    const selector = `#chatMessages .message[data-message-id="${CSS.escape(String(messageId))}"]`;
+    let el = document.querySelector(selector);
+    
+    // Give up after a reasonable number of pages
+    for (let page = 0; !el && page < 20; page++) {
+        if (historyState.key !== key) return false;
+        if (historyState.loading) {
+            await new Promise(resolve => setTimeout(resolve, 200));
+        } else if (historyState.hasMore) {
+            await loadOlderMessages();
+        } else {
+            break;
+        }
+        el = document.querySelector(selector);
+    }
+    
+    if (!el) {
+        showError('The original message is no longer available');
+        return false;
+    }
+    
+    el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    el.classList.remove('highlight');
+    void el.offsetWidth;  // restart the animation
+    el.classList.add('highlight');
+    return true;
+}
+
+/**
+ * Put a sent message into the composer for editing
+ */
+function startEdit(el) {
+    cancelReply();
+    editingScheduledId = null;
+    editingMessageId = el.dataset.messageId;
+    
+    const input = document.getElementById('messageInput');
+    input.value = el.dataset.content || '';
+    input.focus();
+    input.dispatchEvent(new Event('input'));
+    
+    document.querySelectorAll('#chatMessages .message.editing').forEach(m => m.classList.remove('editing'));
+    el.classList.add('editing');
+    document.getElementById('editBannerText').textContent = 'Editing message';
+    document.getElementById('editBanner').classList.add('show');
+}
+
+function cancelEdit() {
+    editingMessageId = null;
+    editingScheduledId = null;
+    document.querySelectorAll('#chatMessages .message.editing').forEach(m => m.classList.remove('editing'));
+    document.getElementById('editBanner').classList.remove('show');
+    
+    const input = document.getElementById('messageInput');
+    input.value = '';
+    input.style.height = 'auto';
+    updateComposerPreview();
+}
+
+/**
+ * Send an edit for the message being edited
+ */
+async function saveEdit(content) {
+    const messageId = editingMessageId;
+    if (!content) return;
+    
+    if (!isConnected()) {
+        showError('Cannot edit while disconnected');
+        return;
+    }
+    
+    try {
+        await connection.invoke('EditMessage', messageId, content);
+        cancelEdit();
+    } catch (error) {
+        console.error('Failed to edit message:', error);
+        showError('Failed to edit message');
+    }
+}
+
+async function deleteMessage(messageId) {
+    if (!isConnected()) {
+        showError('Cannot delete while disconnected');
+        return;
+    }
+    
+    try {
+        await connection.invoke('DeleteMessage', messageId);
+        if (editingMessageId === messageId) cancelEdit();
+    } catch (error) {
+        console.error('Failed to delete message:', error);
+        showError('Failed to delete message');
+    }
+}
+
+/**
+ * Load our scheduled (not yet sent) messages
+ */
+async function loadScheduledMessages() {
+    try {
+        const response = await authFetch(CONFIG.intranetUrl + CONFIG.chatApi + '/scheduled', {
+            credentials: 'include'
+        });
+        
+        if (response.ok) {
+            scheduledMessages = await response.json();
+            renderScheduledMessages();
+        }
+    } catch (error) {
+        console.error('Failed to load scheduled messages:', error);
+    }
+}
+
+function getScheduledConversationKey(scheduled) {
+    return scheduled.groupId ? groupKey(scheduled.groupId) : scheduled.recipientUsername.toLowerCase();
+}
+
+/**
+ * Send-later choices; "when online" only makes sense for an offline person
+ */
+function getSendLaterPresets() {
+    const at = (days, hours) => {
+        const date = new Date();
+        date.setDate(date.getDate() + days);
+        date.setHours(hours, 0, 0, 0);
+        return date;
+    };
+    const nextMonday = (8 - new Date().getDay()) % 7 || 7;
+    
+    const presets = [
+        { label: 'In 1 hour', sendAt: new Date(Date.now() + 60 * 60 * 1000) },
+        { label: 'Tomorrow 9:00 AM', sendAt: at(1, 9) },
+        { label: 'Tomorrow 1:00 PM', sendAt: at(1, 13) },
+        { label: 'Monday 9:00 AM', sendAt: at(nextMonday, 9) }
+    ];
+    
+    if (activeChatUser && !isShownOnline(activeChatUser.username)) {
+        presets.push({ label: 'When they come online', sendWhen: 'online' });
+    }
+    return presets;
+}
+
+function toggleSendLaterMenu() {
+    const menu = document.getElementById('sendLaterMenu');
+    if (menu.classList.contains('show')) {
+        hideSendLaterMenu();
+        return;
+    }
+    
+    const presets = getSendLaterPresets();
+    menu.innerHTML = presets.map((preset, i) => `
+        <div class="send-later-option" data-preset="${i}">
+            <i class="fas ${preset.sendWhen === 'online' ? 'fa-user-clock' : 'fa-clock'}"></i>
+            ${escapeHtml(preset.label)}
+            ${preset.sendAt ? `<span class="send-later-time">${formatScheduleTime(preset.sendAt)}</span>` : ''}
+        </div>
+    `).join('') + `
+        <div class="send-later-custom">
+            <input type="datetime-local" id="sendLaterCustom" min="${toDateTimeInputValue(new Date())}">
+            <button class="settings-btn" id="sendLaterCustomButton">Schedule</button>
+        </div>
+    `;
+    
+    menu.querySelectorAll('[data-preset]').forEach(el => {
+        el.addEventListener('click', () => scheduleComposerMessage(presets[Number(el.dataset.preset)]));
+    });
+    document.getElementById('sendLaterCustomButton').addEventListener('click', () => {
+        const value = document.getElementById('sendLaterCustom').value;
+        if (!value || new Date(value) <= new Date()) {
+            showError('Pick a time in the future');
+            return;
+        }
+        scheduleComposerMessage({ sendAt: new Date(value) });
+    });
+    
+    menu.classList.add('show');
+}
+
+function hideSendLaterMenu() {
+    document.getElementById('sendLaterMenu').classList.remove('show');
+}
+
+/**
+ * Schedule the composer contents, or reschedule the message being edited
+ */
+async function scheduleComposerMessage(preset) {
+    hideSendLaterMenu();
+    const when = {
+        sendAt: preset.sendAt ? preset.sendAt.toISOString() : null,
+        sendWhen: preset.sendWhen || 'time'
+    };
+    
+    if (editingScheduledId) {
+        await saveScheduledMessage({ content: document.getElementById('messageInput').value.trim(), ...when });
+        return;
+    }
+    
+    const outgoing = getComposerMessage();
+    if (!outgoing) return;
+    
+    if (!isConnected()) {
+        showError('Cannot schedule messages while disconnected');
+        return;
+    }
+    
+    try {
+        const scheduled = await connection.invoke('ScheduleMessage', {
+            clientId: createClientId(),
+            recipientUsername: activeGroup ? null : activeChatUser.username,
+            groupId: activeGroup ? activeGroup.id : null,
+            content: outgoing.text,
+            metadata: outgoing.metadata,
+            ...when
+        });
+        
+        scheduledMessages.push(scheduled);
+        clearComposer();
+        renderScheduledMessages();
+    } catch (error) {
+        console.error('Failed to schedule message:', error);
+        showError('Failed to schedule message');
+    }
+}
+
+/**
+ * Save changes to the scheduled message being edited
+ */
+async function saveScheduledMessage(changes) {
+    const scheduled = scheduledMessages.find(s => s.id === editingScheduledId);
+    if (!scheduled || !changes.content) return;
+    
+    if (!isConnected()) {
+        showError('Cannot edit scheduled messages while disconnected');
+        return;
+    }
+    
+    const updated = {
+        content: changes.content,
+        sendAt: changes.sendWhen ? changes.sendAt : scheduled.sendAt,
+        sendWhen: changes.sendWhen || scheduled.sendWhen
+    };
+    
+    try {
+        await connection.invoke('UpdateScheduledMessage', scheduled.id, updated.content, updated.sendAt, updated.sendWhen);
+        Object.assign(scheduled, updated);
+        cancelEdit();
+        renderScheduledMessages();
+    } catch (error) {
+        console.error('Failed to update scheduled message:', error);
+        showError('Failed to update scheduled message');
+    }
+}
+
+async function cancelScheduledMessage(id) {
+    if (!isConnected()) {
+        showError('Cannot cancel scheduled messages while disconnected');
+        return;
+    }
+    
+    try {
+        await connection.invoke('CancelScheduledMessage', id);
+        if (editingScheduledId === id) cancelEdit();
+        scheduledMessages = scheduledMessages.filter(s => s.id !== id);
+        renderScheduledMessages();
+    } catch (error) {
+        console.error('Failed to cancel scheduled message:', error);
+        showError('Failed to cancel scheduled message');
+    }
+}
+
+function startEditScheduled(id) {
+    const scheduled = scheduledMessages.find(s => s.id === id);
+    if (!scheduled) return;
+    
+    cancelReply();
+    editingMessageId = null;
+    editingScheduledId = id;
+    
+    const input = document.getElementById('messageInput');
+    input.value = scheduled.content;
+    input.focus();
+    input.dispatchEvent(new Event('input'));
+    
+    document.getElementById('editBannerText').textContent = 'Editing scheduled message (pick a new time with the clock)';
+    document.getElementById('editBanner').classList.add('show');
+}
+
+/**
+ * Drop a scheduled message once the server has sent it
+ */
+function removeScheduledMessage(clientId) {
+    if (!clientId || !scheduledMessages.some(s => s.clientId === clientId)) return;
+    
+    const scheduled = scheduledMessages.find(s => s.clientId === clientId);
+    if (editingScheduledId === scheduled.id) cancelEdit();
+    scheduledMessages = scheduledMessages.filter(s => s !== scheduled);
+    renderScheduledMessages();
+}
+
+/**
+ * List the open conversation's scheduled messages above the messages
+ */
+function renderScheduledMessages() {
+    const panel = document.getElementById('scheduledPanel');
+    const key = getActiveConversationKey();
+    const list = scheduledMessages
+        .filter(s => key && getScheduledConversationKey(s) === key)
+        .sort((a, b) => (a.sendWhen === 'online') - (b.sendWhen === 'online') || new Date(a.sendAt) - new Date(b.sendAt));
+    
+    if (list.length === 0) {
+        panel.classList.remove('show');
+        panel.innerHTML = '';
+        return;
+    }
+    
+    panel.innerHTML = `
+        <div class="scheduled-summary" onclick="this.parentElement.classList.toggle('expanded')">
+            <i class="fas fa-clock"></i> ${list.length} scheduled message${list.length === 1 ? '' : 's'}
+            <i class="fas fa-chevron-down"></i>
+        </div>
+        ${list.map(s => `
+            <div class="scheduled-item" data-id="${escapeHtml(String(s.id))}">
+                <div class="scheduled-when">
+                    ${s.sendWhen === 'online' ? 'When they come online' : formatScheduleTime(s.sendAt)}
+                </div>
+                <div class="scheduled-text">${escapeHtml(stripFormatting(s.content))}</div>
+                <button class="settings-btn" data-action="edit">Edit</button>
+                <button class="settings-btn" data-action="cancel">Cancel</button>
+            </div>
+        `).join('')}
+    `;
+    
+    panel.querySelectorAll('.scheduled-item').forEach(el => {
+        const scheduled = list.find(s => String(s.id) === el.dataset.id);
+        el.querySelector('[data-action="edit"]').addEventListener('click', () => startEditScheduled(scheduled.id));
+        el.querySelector('[data-action="cancel"]').addEventListener('click', () => cancelScheduledMessage(scheduled.id));
+    });
+    
+    panel.classList.add('show');
+}
+
+/**
+ * "Tomorrow 9:00 AM", "Mon 9:00 AM" or a date for further out
+ */
+function formatScheduleTime(value) {
+    const date = new Date(value);
+    const days = Math.round((new Date(date).setHours(0, 0, 0, 0) - new Date().setHours(0, 0, 0, 0)) / 86400000);
+    const time = formatTime(date);
+    
+    if (days === 0) return `Today ${time}`;
+    if (days === 1) return `Tomorrow ${time}`;
+    if (days < 7) return `${date.toLocaleDateString([], { weekday: 'short' })} ${time}`;
+    return `${date.toLocaleDateString([], { month: 'short', day: 'numeric' })} ${time}`;
+}
+
+function toDateTimeInputValue(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${toDateInputValue(date)}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Apply an edit or delete broadcast to the open chat, list preview and cache
+ */
+function handleMessageChanged(message) {
+    const key = getMessageConversationKey(message);
+    const convo = conversations[key];
+    
+    if (convo && convo.lastMessageId === message.id) {
+        convo.lastMessage = message.deletedAt ? 'Message deleted' : message.content;
+        renderConversationList();
+        saveConversationsToCache();
+    }
+    
+    cacheUpdateMessage(key, message);
+    
+    if (key !== getActiveConversationKey()) return;
+    
+    const el = document.querySelector(`#chatMessages .message[data-message-id="${CSS.escape(String(message.id))}"]`);
+    if (!el) return;
+    
+    const isSent = message.senderUsername.toLowerCase() === currentUser.username.toLowerCase();
+    const status = el.dataset.status;
+    const readers = el.dataset.readers;
+    
+    // Edits don't carry reactions; keep what is shown
+    if (!message.reactions && el.dataset.reactions) {
+        message = { ...message, reactions: JSON.parse(el.dataset.reactions) };
+    }
+    
+    const updated = createMessageElement(message, isSent, status === 'read' ? null : status);
+    if (readers) updated.dataset.readers = readers;
+    if (status === 'read') setMessageStatus(updated, 'read', message.readAt);
+    el.replaceWith(updated);
+    
+    if (message.deletedAt && editingMessageId === message.id) cancelEdit();
+}
+
+/**
+ * Render reaction counts under a bubble; reactions is { emoji: [usernames] }
+ */
+function renderReactions(el, reactions) {
+    const container = el.querySelector('.message-reactions');
+    if (!container) return;
+    
+    const me = currentUser.username.toLowerCase();
+    const entries = Object.entries(reactions).filter(([_, users]) => users.length > 0);
+    el.dataset.reactions = JSON.stringify(Object.fromEntries(entries));
+    
+    container.innerHTML = entries.map(([emoji, users]) => {
+        const mine = users.some(u => u.toLowerCase() === me);
+        const names = users.map(u => u.toLowerCase() === me ? 'You' : getDisplayName(u)).join(', ');
+        return `
+            <button class="reaction-chip ${mine ? 'mine' : ''}" data-emoji="${escapeHtml(emoji)}" title="${escapeHtml(names)}">
+                ${escapeHtml(emoji)} <span>${users.length}</span>
+            </button>
+        `;
+    }).join('');
+}
+
+/**
+ * Show the emoji picker next to a message
+ */
+function showReactionPicker(el) {
+    const picker = document.getElementById('reactionPicker');
+    const view = document.getElementById('chatView');
+    
+    picker.dataset.messageId = el.dataset.messageId;
+    picker.innerHTML = REACTION_EMOJIS
+        .map(emoji => `<button class="reaction-option" data-emoji="${emoji}">${emoji}</button>`)
+        .join('');
+    
+    // Position above the bubble, inside the chat view
+    const bubble = el.getBoundingClientRect();
+    const area = view.getBoundingClientRect();
+    picker.classList.add('show');
+    const left = Math.min(Math.max(bubble.left - area.left, 4), area.width - picker.offsetWidth - 4);
+    picker.style.left = left + 'px';
+    picker.style.top = Math.max(bubble.top - area.top - picker.offsetHeight - 4, 4) + 'px';
+}
+
+function hideReactionPicker() {
+    document.getElementById('reactionPicker').classList.remove('show');
+}
+
+/**
+ * Add or remove our reaction on a message
+ */
+async function toggleReaction(messageId, emoji) {
+    hideReactionPicker();
+    
+    if (!isConnected()) {
+        showError('Cannot react while disconnected');
+        return;
+    }
+    
+    try {
+        await connection.invoke('ToggleReaction', messageId, emoji);
+    } catch (error) {
+        console.error('Failed to react:', error);
+        showError('Failed to react');
+    }
+}
+
+/**
+ * Apply a reactions broadcast to the open chat and cache
+ */
+function handleReactionsUpdated(update) {
+    const el = document.querySelector(`#chatMessages .message[data-message-id="${CSS.escape(String(update.messageId))}"]`);
+    
+    // Updates don't always say whose conversation it is; then only a bubble in the open chat tells us
+    const hasParticipants = update.groupId || (update.senderUsername && update.recipientUsername);
+    const key = hasParticipants ? getMessageConversationKey(update) : (el ? getActiveConversationKey() : null);
+    if (!key) return;
+    
+    cacheUpdateMessage(key, { id: update.messageId, reactions: update.reactions });
+    
+    if (!el || key !== getActiveConversationKey()) return;
+    
+    const container = document.getElementById('chatMessages');
+    const atBottom = container.scrollHeight - container.scrollTop - container.clientHeight < 40;
+    renderReactions(el, update.reactions || {});
+    if (atBottom) container.scrollTop = container.scrollHeight;
+}
+
+/**
+ * Whether the hub connection is currently usable
+ */
+function isConnected() {
+    return connection && connection.state === signalR.HubConnectionState.Connected;
+}
+
+/**
+ * Outbox per environment, so messages queued against test never go to production
+ */
+function getOutboxKey() {
+    return `${CONFIG.outboxKey}.${CONFIG.environment}`;
+}
+
+/**
+ * Restore the outbox from local storage
+ */
+function loadOutbox() {
+    migrateLegacyOutbox();
+    
+    try {
+        outbox = JSON.parse(localStorage.getItem(getOutboxKey()) || '[]');
+    } catch (e) {
+        console.error('Failed to read outbox:', e);
+        outbox = [];
+    }
+    
+    // Accepted by the server last session; an interrupted send is retried
+    outbox = outbox.filter(m => m.status !== 'sent');
+    outbox.forEach(m => {
+        if (m.status === 'sending') m.status = 'pending';
+    });
+    saveOutbox();
+}
+
+/**
+ * Messages queued before there were environments went to the default one;
+ * move them under its key while that outbox is still empty
+ */
+function migrateLegacyOutbox() {
+    try {
+        const legacy = localStorage.getItem(CONFIG.outboxKey);
+        if (!legacy) return;
+        
+        const key = `${CONFIG.outboxKey}.${DEFAULT_ENVIRONMENT}`;
+        const current = JSON.parse(localStorage.getItem(key) || '[]');
+        if (current.length > 0) return;
+        
+        localStorage.setItem(key, legacy);
+        localStorage.removeItem(CONFIG.outboxKey);
+    } catch (e) {
+        console.error('Failed to migrate outbox:', e);
+    }
+}
+
+/**
+ * Persist the outbox to local storage
+ */
+function saveOutbox() {
+    try {
+        localStorage.setItem(getOutboxKey(), JSON.stringify(outbox));
+    } catch (e) {
+        console.error('Failed to save outbox:', e);
+    }
+}
+
+/**
+ * Id we send with a message so MessageSent can be matched to it
+ */
+function createClientId() {
+    return 'c-' + Date.now().toString(36) + '-' + Math.random().toString(36).substring(2, 8);
+}
+
+/**
+ * Add a message for the active conversation to the outbox and show it
+ */
+function queueOutboxMessage(content, metadata) {
+    const entry = {
+        clientId: createClientId(),
+        key: getActiveConversationKey(),
+        senderUsername: currentUser.username,
+        recipientUsername: activeChatUser?.username,
+        groupId: activeGroup?.id,
+        content,
+        metadata: metadata || null,
+        sentAt: new Date().toISOString(),
+        status: 'pending'
+    };
+    
+    outbox.push(entry);
+    saveOutbox();
+    
+    const container = document.getElementById('chatMessages');
+    const emptyState = container.querySelector('.empty-state');
+    if (emptyState) emptyState.remove();
+    container.appendChild(createMessageElement(entry, true, 'pending'));
+    container.scrollTop = container.scrollHeight;
+    
+    return entry;
+}
+
+/**
+ * Send one outbox entry through the hub. Returns false if it could not be sent.
+ */
+async function deliverOutboxMessage(entry) {
+    if (!isConnected()) {
+        updateOutboxStatus(entry, 'pending');
+        return false;
+    }
+    
+    updateOutboxStatus(entry, 'sending');
+    
+    try {
+        if (entry.groupId) {
+            await connection.invoke('SendGroupMessage', entry.groupId, entry.content, entry.clientId, entry.metadata);
+        } else {
+            await connection.invoke('SendMessage', entry.recipientUsername, entry.content, entry.clientId, entry.metadata);
+        }
+        
+        // Accepted; MessageSent removes it from the outbox
+        if (outbox.includes(entry)) {
+            entry.status = 'sent';
+            saveOutbox();
+        }
+        return true;
+    } catch (error) {
+        console.error('Failed to send message:', error);
+        updateOutboxStatus(entry, isConnected() ? 'failed' : 'pending');
+        return false;
+    }
+}
+
+/**
+ * Update an outbox entry's status and its bubble if it is on screen
+ */
+function updateOutboxStatus(entry, status) {
+    entry.status = status;
+    saveOutbox();
+    
+    const el = document.querySelector(`#chatMessages .message.sent[data-client-id="${CSS.escape(entry.clientId)}"]`);
+    if (el) setMessageStatus(el, status);
+}
+
+/**
+ * Resend queued messages in order, stopping at the first failure
+ */
+async function flushOutbox() {
+    if (!isConnected()) return;
+    if (flushingOutbox) {
+        flushOutboxAgain = true;
+        return;
+    }
+    flushingOutbox = true;
+    
+    try {
+        do {
+            flushOutboxAgain = false;
+            for (const entry of outbox.slice()) {
+                if (entry.status === 'sent' || !outbox.includes(entry)) continue;
+                if (!(await deliverOutboxMessage(entry))) return;
+            }
+        } while (flushOutboxAgain);
+    } finally {
+        flushingOutbox = false;
+    }
+}
+
+/**
+ * Retry a failed message from its bubble
+ */
+function retryOutboxMessage(clientId) {
+    const entry = outbox.find(m => m.clientId === clientId);
+    if (!entry) return;
+    
+    // Older queued messages go first, as they would on reconnect
+    updateOutboxStatus(entry, 'pending');
+    flushOutbox();
+}
+
+/**
+ * Drop an outbox entry once the server has confirmed it
+ */
+function removeOutboxEntry(clientId) {
+    if (!clientId) return;
+    const before = outbox.length;
+    outbox = outbox.filter(m => m.clientId !== clientId);
+    if (outbox.length !== before) saveOutbox();
+}
+
+/**
+ * Drop outbox entries that already appear in loaded history
+ */
+function reconcileOutbox(messages) {
+    const delivered = new Set(messages.map(m => m.clientId).filter(id => id));
+    if (delivered.size === 0) return;
+    
+    const before = outbox.length;
+    outbox = outbox.filter(m => !delivered.has(m.clientId));
+    if (outbox.length !== before) saveOutbox();
+}
+
+/**
+ * Show unsent outbox messages at the end of the open conversation
+ */
+function renderOutboxMessages(key) {
+    if (key !== getActiveConversationKey()) return;
+    outbox.filter(m => m.key === key && m.status !== 'sent').forEach(entry => {
+        appendMessage(entry, true, entry.status);
+    });
+}
+
+/**
+ * Handle incoming message
+ */
+function handleIncomingMessage(message) {
+    const key = getMessageConversationKey(message);
+    
+    // Initialize conversation if needed
+    if (!conversations[key]) {
+        conversations[key] = { messages: [], unreadCount: 0 };
+    }
+    
+    // Add to conversation
+    conversations[key].messages.push(message);
+    cacheAppendMessage(key, message);
+    updateConversationSummary(key, message);
+    
+    // If chat is open with this conversation, show message and mark as read
+    if (key === getActiveConversationKey()) {
+        appendMessage(message, false);
+        markConversationRead(key);
+    } else {
+        // Increment unread
+        conversations[key].unreadCount++;
+        updateUnreadBadge();
+        
+        // Show desktop notification if available
+        showNotification(message);
+    }
+    
+    // Update conversation list
+    renderConversationList();
+    renderUserList();
+    saveConversationsToCache();
+}
+
+/**
+ * Mark conversation as read (username or group key)
+ */
+async function markConversationRead(key) {
+    key = normalizeConversationKey(key);
+    const convo = conversations[key];
+    if (convo) {
+        convo.unreadCount = 0;
+    }
+    
+    updateUnreadBadge();
+    dismissNotifications(key);
+    
+    // Notify server
+    if (connection) {
+        try {
+            if (isGroupKey(key)) {
+                await connection.invoke('MarkGroupAsRead', key.substring(6));
+            } else {
+                await connection.invoke('MarkAsRead', key);
+            }
+        } catch (e) {
+            console.error('Failed to mark as read:', e);
+        }
+    }
+}
+
+/**
+ * Update unread badge
+ */
+function updateUnreadBadge() {
+    const total = Object.values(conversations).reduce((sum, c) => sum + (c.unreadCount || 0), 0);
+    const badge = document.getElementById('unreadBadge');
+    
+    if (total > 0) {
+        badge.textContent = total > 99 ? '99+' : total;
+        badge.style.display = 'inline';
+    } else {
+        badge.style.display = 'none';
+    }
+}
+
+/**
+ * Queue a notification for an incoming message; bursts are combined
+ */
+function showNotification(message) {
+    // Do not disturb suppresses all notifications
+    if (presenceSettings.status === 'DoNotDisturb') return;
+    if (isConversationMuted(getMessageConversationKey(message)) || isQuietHours()) return;
+    if (isMentionsOnly(getMessageConversationKey(message)) && !mentionsMe(message.content)) return;
+    
+    pendingNotifications.push(message);
+    clearTimeout(notificationTimer);
+    notificationTimer = setTimeout(flushNotifications, CONFIG.notificationDelayMs);
+}
+
+/**
+ * Show one notification covering everything still unread
+ */
+function flushNotifications() {
+    notificationTimer = null;
+    if (pendingNotifications.length === 0) return;
+    
+    const text = summarizeNotifications(pendingNotifications);
+    showItemNotification(text);
+    showBrowserNotification(text);
+    
+    if (notificationSettings.sound) {
+        playNotificationSound();
+    }
+}
+
+/**
+ * "Name: message" for one message, "3 new messages from 2 people" for several
+ */
+function summarizeNotifications(messages) {
+    const describeSender = message => {
+        const group = message.groupId ? groups[message.groupId] : null;
+        return getDisplayName(message.senderUsername) + (group ? ` (${group.name})` : '');
+    };
+    
+    if (messages.length === 1) {
+        const text = stripFormatting(messages[0].content || '');
+        return `${describeSender(messages[0])}: ${text.substring(0, 50)}${text.length > 50 ? '...' : ''}`;
+    }
+    
+    const senders = new Set(messages.map(m => m.senderUsername.toLowerCase()));
+    return senders.size === 1
+        ? `${messages.length} new messages from ${describeSender(messages[0])}`
+        : `${messages.length} new messages from ${senders.size} people`;
+}
+
+/**
+ * Drop notifications for a conversation once it has been read
+ */
+function dismissNotifications(key) {
+    const remaining = pendingNotifications.filter(m => getMessageConversationKey(m) !== key);
+    if (remaining.length === pendingNotifications.length) return;
+    
+    pendingNotifications = remaining;
+    if (remaining.length > 0) {
+        showItemNotification(summarizeNotifications(remaining));
+    } else {
+        clearItemNotification();
+    }
+}
+
+/**
+ * Notification bar on the selected Outlook item (there may be none)
+ */
+function showItemNotification(text) {
+    const notifications = Office.context.mailbox?.item?.notificationMessages;
+    if (!notifications) return;
+    
+    notifications.replaceAsync('aamChatMessages', {
+        type: 'informationalMessage',
+        message: text,
+        icon: 'icon-16',
+        persistent: false
+    }, result => {
+        if (result.status === Office.AsyncResultStatus.Failed) {
+            console.error('Failed to show notification:', result.error);
+        }
+    });
+}
+
+function clearItemNotification() {
+    const notifications = Office.context.mailbox?.item?.notificationMessages;
+    if (notifications) {
+        notifications.removeAsync('aamChatMessages');
+    }
+}
+
+/**
+ * Desktop pop-up through the browser Notification API
+ */
+function showBrowserNotification(text) {
+    if (!notificationSettings.browser || !('Notification' in window) || Notification.permission !== 'granted') {
+        return;
+    }
+    
+    const keys = new Set(pendingNotifications.map(getMessageConversationKey));
+    const latest = pendingNotifications[pendingNotifications.length - 1];
+    const popup = new Notification('AAM Chat', {
+        body: text,
+        tag: 'aamChatMessages',  // replaces the previous pop-up
+        renotify: true,
+        silent: true             // we play our own sound
+    });
+    
+    popup.onclick = () => {
+        window.focus();
+        popup.close();
+        if (keys.size === 1 && latest.groupId && groups[latest.groupId]) {
+            openGroupChat(groups[latest.groupId]);
+        } else if (keys.size === 1 && !latest.groupId) {
+            const username = getMessageConversationKey(latest);
+            openChat(findDirectoryUser(username) || { username, displayName: username });
+        } else {
+            switchTab('chats');
+        }
+    };
+}
+
+/**
+ * Short two-tone chime (no audio file to ship)
+ */
+async function playNotificationSound() {
+    try {
+        const context = getAudioContext();
+        // Browsers start it suspended; this only works once the user has interacted with the pane
+        if (context.state === 'suspended') await context.resume();
+        const now = context.currentTime;
+        
+        [880, 660].forEach((frequency, i) => {
+            const oscillator = context.createOscillator();
+            const gain = context.createGain();
+            oscillator.frequency.value = frequency;
+            gain.gain.setValueAtTime(0.15, now + i * 0.12);
+            gain.gain.exponentialRampToValueAtTime(0.001, now + i * 0.12 + 0.2);
+            oscillator.connect(gain).connect(context.destination);
+            oscillator.start(now + i * 0.12);
+            oscillator.stop(now + i * 0.12 + 0.2);
+        });
+    } catch (e) {
+        console.error('Failed to play notification sound:', e);
+    }
+}
+
+function getAudioContext() {
+    audioContext = audioContext || new (window.AudioContext || window.webkitAudioContext)();
+    return audioContext;
+}
+
+/**
+ * Create or resume the audio context inside the first user gesture, so later
+ * notification sounds from hub events are allowed to play
+ */
+function unlockNotificationSound() {
+    try {
+        const context = getAudioContext();
+        if (context.state === 'suspended') context.resume();
+    } catch (e) {
+        console.error('Failed to start audio:', e);
+    }
+}
+
+/**
+ * Restore notification preferences
+ */
+function loadNotificationSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CONFIG.notificationKey) || 'null');
+        if (saved) {
+            notificationSettings = {
+                ...notificationSettings,
+                ...saved,
+                mentionsOnly: saved.mentionsOnly || {},
+                quietHours: { ...notificationSettings.quietHours, ...saved.quietHours }
+            };
+        }
+    } catch (e) {
+        console.error('Failed to read notification settings:', e);
+    }
+}
+
+function saveNotificationSettings() {
+    try {
+        localStorage.setItem(CONFIG.notificationKey, JSON.stringify(notificationSettings));
+    } catch (e) {
+        console.error('Failed to save notification settings:', e);
+    }
+}
+
+/**
+ * Whether now falls inside the quiet hours (which may span midnight)
+ */
+function isQuietHours(date = new Date()) {
+    const { enabled, start, end } = notificationSettings.quietHours;
+    if (!enabled || !start || !end || start === end) return false;
+    
+    const toMinutes = value => {
+        const [hours, minutes] = value.split(':').map(Number);
+        return hours * 60 + minutes;
+    };
+    const now = date.getHours() * 60 + date.getMinutes();
+    const from = toMinutes(start);
+    const to = toMinutes(end);
+    
+    return from < to ? now >= from && now < to : now >= from || now < to;
+}
+
+function isConversationMuted(key) {
+    return Boolean(key && notificationSettings.muted[normalizeConversationKey(key)]);
+}
+
+function isMentionsOnly(key) {
+    return Boolean(key && notificationSettings.mentionsOnly[normalizeConversationKey(key)]);
+}
+
+/**
+ * Whether a message mentions you as @username or @Display Name
+ */
+function mentionsMe(content) {
+    return [currentUser.username, currentUser.displayName]
+        .filter(name => name)
+        .some(name => {
+            const pattern = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            return new RegExp(`@${pattern}(?![\\w-])`, 'i').test(content || '');
+        });
+}
+
+function renderMutedIcon(key) {
+    if (isConversationMuted(key)) return ' <i class="fas fa-bell-slash muted-icon" title="Muted"></i>';
+    if (isMentionsOnly(key)) return ' <i class="fas fa-at muted-icon" title="Mentions only"></i>';
+    return '';
+}
+
+/**
+ * Step a conversation (the open one by default) through all messages, mentions only and muted
+ */
+function toggleMute(key = getActiveConversationKey()) {
+    if (!key) return;
+    
+    if (isConversationMuted(key)) {
+        setConversationNotifications(key, 'all');
+    } else if (isMentionsOnly(key)) {
+        setConversationNotifications(key, 'muted');
+    } else {
+        setConversationNotifications(key, 'mentions');
+    }
+}
+
+/**
+ * Notify about a conversation for 'all' messages, 'mentions' only, or not at all ('muted')
+ */
+function setConversationNotifications(key, mode) {
+    key = normalizeConversationKey(key);
+    
+    delete notificationSettings.muted[key];
+    delete notificationSettings.mentionsOnly[key];
+    if (mode === 'muted') {
+        notificationSettings.muted[key] = true;
+        dismissNotifications(key);
+    } else if (mode === 'mentions') {
+        notificationSettings.mentionsOnly[key] = true;
+    }
+    
+    saveNotificationSettings();
+    updateMuteButton();
+    renderConversationList();
+    if (document.getElementById('settingsView').classList.contains('active')) {
+        renderMutedConversations();
+    }
+}
+
+function updateMuteButton() {
+    const key = getActiveConversationKey();
+    const muted = isConversationMuted(key);
+    const mentions = isMentionsOnly(key);
+    const button = document.getElementById('muteButton');
+    button.innerHTML = `<i class="fas ${muted ? 'fa-bell-slash' : mentions ? 'fa-at' : 'fa-bell'}"></i>`;
+    button.title = muted ? 'Muted (click to get all messages)'
+        : mentions ? 'Mentions only (click to mute)'
+        : 'All messages (click for mentions only)';
+    button.classList.toggle('muted', muted);
+    button.classList.toggle('mentions', mentions);
+}
+
+/**
+ * Settings screen
+ */
+function openSettings() {
+    document.getElementById('presenceMenu').classList.remove('show');
+    document.querySelectorAll('.panel').forEach(p => p.classList.remove('active'));
+    document.getElementById('chatView').classList.remove('active');
+    document.getElementById('settingsView').classList.add('active');
+    
+    document.getElementById('browserNotifications').checked = notificationSettings.browser;
+    document.getElementById('notificationSound').checked = notificationSettings.sound;
+    document.getElementById('quietHoursEnabled').checked = notificationSettings.quietHours.enabled;
+    document.getElementById('quietHoursStart').value = notificationSettings.quietHours.start;
+    document.getElementById('quietHoursEnd').value = notificationSettings.quietHours.end;
+    updateBrowserNotificationHint();
+    renderMutedConversations();
+    renderEnvironmentSettings(CONFIG.environment);
+}
+
+function closeSettings() {
+    const tab = document.querySelector('.tab.active')?.dataset.tab || 'people';
+    if (getActiveConversationKey()) {
+        document.getElementById('settingsView').classList.remove('active');
+        document.getElementById('chatView').classList.add('active');
+    } else {
+        switchTab(tab);
+    }
+}
+
+/**
+ * Turn desktop pop-ups on, asking the browser for permission first
+ */
+async function setBrowserNotifications(enabled) {
+    const checkbox = document.getElementById('browserNotifications');
+    
+    if (enabled && 'Notification' in window && Notification.permission === 'default') {
+        await Notification.requestPermission();
+    }
+    if (enabled && (!('Notification' in window) || Notification.permission !== 'granted')) {
+        enabled = false;
+        checkbox.checked = false;
+    }
+    
+    notificationSettings.browser = enabled;
+    saveNotificationSettings();
+    updateBrowserNotificationHint();
+}
+
+function updateBrowserNotificationHint() {
+    const hint = document.getElementById('browserNotificationsHint');
+    if (!('Notification' in window)) {
+        hint.textContent = 'Not supported in this version of Outlook.';
+    } else if (Notification.permission === 'denied') {
+        hint.textContent = 'Blocked. Allow notifications for this add-in in your browser settings.';
+    } else {
+        hint.textContent = '';
+    }
+}
+
+function setNotificationSound(enabled) {
+    notificationSettings.sound = enabled;
+    saveNotificationSettings();
+    if (enabled) playNotificationSound();
+}
+
+function setQuietHours() {
+    notificationSettings.quietHours = {
+        enabled: document.getElementById('quietHoursEnabled').checked,
+        start: document.getElementById('quietHoursStart').value || '18:00',
+        end: document.getElementById('quietHoursEnd').value || '08:00'
+    };
+    saveNotificationSettings();
+}
+
+/**
+ * Show which environment the pane is talking to next to the connection status
+ */
+function updateEnvironmentBadge() {
+    const badge = document.getElementById('environmentBadge');
+    const custom = CONFIG.overridden.length > 0;
+    
+    badge.textContent = ENVIRONMENTS[CONFIG.environment].label + (custom ? '*' : '');
+    badge.className = 'env-badge ' + CONFIG.environment;
+    badge.title = CONFIG.intranetUrl + (custom ? ' (custom endpoints)' : '');
+}
+
+/**
+ * Fill the environment form: overrides only for the active environment,
+ * the profile's values as placeholders
+ */
+function renderEnvironmentSettings(name) {
+    document.getElementById('environmentSelect').value = name;
+    
+    ENDPOINT_KEYS.forEach(key => {
+        const input = document.getElementById('env-' + key);
+        input.placeholder = ENVIRONMENTS[name][key];
+        input.value = name === CONFIG.environment && CONFIG.overridden.includes(key) ? CONFIG[key] : '';
+    });
+    
+    setEnvironmentStatus('');
+}
+
+function readEnvironmentForm() {
+    const overrides = {};
+    ENDPOINT_KEYS.forEach(key => {
+        const value = document.getElementById('env-' + key).value.trim();
+        if (value) overrides[key] = value;
+    });
+    
+    return { name: document.getElementById('environmentSelect').value, overrides };
+}
+
+function setEnvironmentStatus(text, isError) {
+    const status = document.getElementById('environmentStatus');
+    status.textContent = text;
+    status.classList.toggle('error', Boolean(isError));
+}
+
+/**
+ * Basic shape checks before we try to reach anything
+ */
+function validateEnvironment(config) {
+    let url;
+    try {
+        url = new URL(config.intranetUrl);
+    } catch (e) {
+        return 'Server URL is not a valid URL';
+    }
+    if (url.protocol !== 'https:' && url.hostname !== 'localhost') {
+        return 'Server URL must use https';
+    }
+    
+    const path = ['signalRHub', 'apiBase', 'chatApi'].find(key => !config[key].startsWith('/'));
+    if (path) {
+        return 'Paths must start with /';
+    }
+    
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(config.clientId)) {
+        return 'Client id must be a GUID';
+    }
+    return null;
+}
+
+/**
+ * Reach the directory, the chat API and the hub, and check the client id; returns a problem description or null.
+ * No token goes to the candidate host: a 401 or 403 still shows it is there.
+ */
+async function checkEnvironmentHealth(config) {
+    const check = async (name, url, options = {}) => {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), CONFIG.healthCheckTimeoutMs);
+        
+        try {
+            const response = await fetch(url, { ...options, credentials: 'include', signal: controller.signal });
+            return response.ok || response.status === 401 || response.status === 403 ? null : `${name}: HTTP ${response.status}`;
+        } catch (error) {
+            return `${name}: ${error.name === 'AbortError' ? 'timed out' : 'unreachable'}`;
+        } finally {
+            clearTimeout(timer);
+        }
+    };
+    
+    const problems = await Promise.all([
+        check('Directory', config.intranetUrl + config.apiBase + '/directory'),
+        check('Chat API', config.intranetUrl + config.chatApi + '/groups'),
+        check('Chat hub', config.intranetUrl + config.signalRHub + '/negotiate?negotiateVersion=1', { method: 'POST' }),
+        checkClientId(config.clientId)
+    ]);
+    
+    return problems.filter(Boolean).join(', ') || null;
+}
+
+/**
+ * Ask Entra ID for a token for a new client id without any UI. Only "no such
+ * application" counts as a problem; needing sign-in or consent is expected.
+ */
+async function checkClientId(clientId) {
+    if (clientId === CONFIG.clientId || !window.msal) return null;
+    
+    const timeout = new Promise(resolve => setTimeout(() => resolve('timeout'), CONFIG.healthCheckTimeoutMs));
+    const attempt = createMsalClient(clientId)
+        .ssoSilent({ scopes: getApiScopes(clientId), loginHint: currentUser.email })
+        .then(() => null, error => error);
+    
+    const error = await Promise.race([attempt, timeout]);
+    if (!error || error === 'timeout') return null;
+    
+    const detail = error.errorMessage || error.message || '';
+    return /AADSTS700016|AADSTS90002|unauthorized_client|invalid_client/.test(detail)
+        ? 'Client id: no such application'
+        : null;
+}
+
+/**
+ * Check the chosen environment, save it to roaming settings and reload onto it
+ */
+async function switchEnvironment() {
+    const settings = readEnvironmentForm();
+    const config = resolveEnvironment(settings);
+    const button = document.getElementById('environmentSwitchButton');
+    
+    const invalid = validateEnvironment(config);
+    if (invalid) {
+        setEnvironmentStatus(invalid, true);
+        return;
+    }
+    
+    button.disabled = true;
+    setEnvironmentStatus('Checking ' + config.intranetUrl + '...');
+    
+    const problem = await checkEnvironmentHealth(config);
+    if (problem) {
+        button.disabled = false;
+        setEnvironmentStatus('Not switched. ' + problem, true);
+        return;
+    }
+    
+    const roaming = Office.context.roamingSettings;
+    roaming.set(CONFIG.environmentKey, settings);
+    roaming.saveAsync(result => {
+        if (result.status === Office.AsyncResultStatus.Failed) {
+            console.error('Failed to save environment:', result.error);
+            button.disabled = false;
+            setEnvironmentStatus('Could not save the setting', true);
+            return;
+        }
+        
+        // Reconnect everything against the new endpoints
+        setEnvironmentStatus('Switching...');
+        window.location.reload();
+    });
+}
+
+/**
+ * List muted and mentions-only conversations on the settings screen
+ */
+function renderMutedConversations() {
+    const container = document.getElementById('mutedConversations');
+    const keys = Object.keys(notificationSettings.muted).concat(Object.keys(notificationSettings.mentionsOnly));
+    
+    if (keys.length === 0) {
+        container.innerHTML = '<div class="settings-hint">Every conversation notifies you. Use the bell in a chat header for mentions only or to mute it.</div>';
+        return;
+    }
+    
+    container.innerHTML = keys.map(key => {
+        const name = isGroupKey(key) ? (groups[key.substring(6)]?.name || 'Group chat') : getDisplayName(key);
+        return `
+            <div class="settings-row">
+                <span class="settings-label"><i class="fas ${isGroupKey(key) ? 'fa-users' : 'fa-user'}"></i> ${escapeHtml(name)}${renderMutedIcon(key)}</span>
+                <button class="settings-btn" data-key="${escapeHtml(key)}">${isConversationMuted(key) ? 'Unmute' : 'All messages'}</button>
+            </div>
+        `;
+    }).join('');
+    
+    container.querySelectorAll('button[data-key]').forEach(button => {
+        button.addEventListener('click', () => setConversationNotifications(button.dataset.key, 'all'));
+    });
+}
+
+/**
+ * Close chat and go back to list
+ */
+function closeChat() {
+    activeChatUser = null;
+    activeGroup = null;
+    hideExportPanel();
+    hideAutomaticReply();
+    clearPendingAttachments();
+    if (editingMessageId || editingScheduledId) cancelEdit();
+    cancelReply();
+    hideSendLaterMenu();
+    historyState = { key: null, oldest: null, hasMore: false, loading: false };
+    hideGroupMembers();
+    document.getElementById('chatView').classList.remove('active');
+    document.getElementById('peoplePanel').classList.add('active');
+    
+    // Reset tabs to active state
+    document.querySelectorAll('.tab').forEach(t => t.classList.remove('active'));
+    document.querySelector('.tab[data-tab="people"]').classList.add('active');
+}
+
+/**
+ * Read the message search box and filters
+ */
+function getSearchQuery() {
+    return {
+        text: document.getElementById('messageSearchInput').value.trim(),
+        person: document.getElementById('searchPerson').value,
+        from: document.getElementById('searchFrom').value,
+        to: document.getElementById('searchTo').value,
+        hasLink: document.getElementById('searchHasLink').checked,
+        hasAttachment: document.getElementById('searchHasAttachment').checked
+    };
+}
+
+function isSearchActive(query) {
+    return Boolean(query.text || query.person || query.from || query.to || query.hasLink || query.hasAttachment);
+}
+
+/**
+ * Debounced search as the query or filters change
+ */
+function scheduleMessageSearch() {
+    clearTimeout(searchTimeout);
+    searchTimeout = setTimeout(searchMessages, 300);
+}
+
+/**
+ * Search cached history straight away, then the server, and merge the results
+ */
+async function searchMessages() {
+    const query = getSearchQuery();
+    const results = document.getElementById('searchResults');
+    const list = document.getElementById('conversationList');
+    
+    if (!isSearchActive(query)) {
+        results.style.display = 'none';
+        list.style.display = '';
+        return;
+    }
+    
+    results.style.display = '';
+    list.style.display = 'none';
+    
+    const requestId = ++searchRequestId;
+    
+    const local = await searchCachedMessages(query);
+    if (requestId !== searchRequestId) return;
+    renderSearchResults(local, query, true);
+    
+    const remote = await searchServerMessages(query);
+    if (requestId !== searchRequestId) return;
+    renderSearchResults(mergeMessages(local, remote || []).reverse(), query, false);
+}
+
+/**
+ * Search the server; null if the request failed
+ */
+async function searchServerMessages(query) {
+    const params = new URLSearchParams({ limit: '50' });
+    if (query.text) params.set('q', query.text);
+    if (query.person) params.set('person', query.person);
+    if (query.from) params.set('from', new Date(query.from + 'T00:00:00').toISOString());
+    if (query.to) params.set('to', new Date(query.to + 'T23:59:59').toISOString());
+    if (query.hasLink) params.set('hasLink', 'true');
+    if (query.hasAttachment) params.set('hasAttachment', 'true');
+    
+    try {
+        const response = await authFetch(`${CONFIG.intranetUrl}${CONFIG.chatApi}/search?${params}`, {
+            credentials: 'include'
+        });
+        return response.ok ? await response.json() : null;
+    } catch (error) {
+        console.error('Message search failed:', error);
+        return null;
+    }
+}
+
+/**
+ * Search history held in the local cache
+ */
+async function searchCachedMessages(query) {
+    const records = await cacheRequest('messages', 'readonly', store => store.getAll()) || [];
+    const matches = [];
+    
+    records.forEach(record => {
+        record.messages.forEach(m => {
+            if (matchesSearch(m, query)) matches.push(m);
+        });
+    });
+    
+    return matches.sort((a, b) => new Date(b.sentAt) - new Date(a.sentAt)).slice(0, 50);
+}
+
+/**
+ * Whether a message matches the search text and filters
+ */
+function matchesSearch(message, query) {
+    if (message.deletedAt) return false;
+    
+    const content = message.content || '';
+    if (query.text && !content.toLowerCase().includes(query.text.toLowerCase())) return false;
+    
+    if (query.person) {
+        const person = query.person.toLowerCase();
+        const inChat = message.groupId
+            ? message.senderUsername.toLowerCase() === person
+            : getMessageConversationKey(message) === person;
+        if (!inChat) return false;
+    }
+    
+    const sentAt = new Date(message.sentAt);
+    if (query.from && sentAt < new Date(query.from + 'T00:00:00')) return false;
+    if (query.to && sentAt > new Date(query.to + 'T23:59:59')) return false;
+    
+    if (query.hasLink && !/https?:\/\//i.test(content)) return false;
+    if (query.hasAttachment && !(message.metadata?.attachments || []).length) return false;
+    
+    return true;
+}
+
+/**
+ * Render search results with the matching text highlighted
+ */
+function renderSearchResults(messages, query, loading) {
+    const container = document.getElementById('searchResults');
+    
+    if (messages.length === 0) {
+        container.innerHTML = loading
+            ? '<div class="loading"><i class="fas fa-spinner fa-spin"></i> Searching...</div>'
+            : `
+                <div class="empty-state">
+                    <i class="fas fa-search"></i>
+                    <div>No messages found</div>
+                </div>
+            `;
+        return;
+    }
+    
+    container.innerHTML = messages.map((m, i) => {
+        const key = getMessageConversationKey(m);
+        const where = m.groupId
+            ? groups[m.groupId]?.name || 'Group chat'
+            : getDisplayName(key);
+        const date = new Date(m.sentAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+        
+        return `
+            <div class="search-result" data-index="${i}">
+                <div class="search-result-header">
+                    <span class="search-result-sender">${escapeHtml(getDisplayName(m.senderUsername))}</span>
+                    <span class="search-result-where">${m.groupId || key !== m.senderUsername.toLowerCase() ? 'in ' + escapeHtml(where) : ''}</span>
+                    <span class="search-result-date">${date}</span>
+                </div>
+                <div class="search-result-snippet">${highlightSnippet(stripFormatting(m.content), query.text)}</div>
+            </div>
+        `;
+    }).join('');
+    
+    container.querySelectorAll('.search-result').forEach(item => {
+        item.addEventListener('click', () => openSearchResult(messages[item.dataset.index]));
+    });
+}
+
+/**
+ * Cut a snippet around the first match and wrap matches in <mark>
+ */
+function highlightSnippet(text, term) {
+    let snippet = text;
+    
+    if (term) {
+        const index = text.toLowerCase().indexOf(term.toLowerCase());
+        if (index > 40) {
+            snippet = '…' + text.substring(index - 30);
+        }
+    }
+    if (snippet.length > 160) {
+        snippet = snippet.substring(0, 160) + '…';
+    }
+    
+    if (!term) return escapeHtml(snippet);
+    
+    // Match on the raw text and escape each piece, so entities like &amp; are never split
+    const pattern = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return snippet
+        .split(new RegExp(`(${pattern})`, 'gi'))
+        .map((part, i) => i % 2 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part))
+        .join('');
+}
+
+/**
+ * Open the conversation for a search result scrolled to the message
+ */
+async function openSearchResult(message) {
+    if (message.groupId) {
+        const group = groups[message.groupId];
+        if (!group) {
+            showError('You are no longer in that group');
+            return;
+        }
+        await openGroupChat(group);
+    } else {
+        const username = getMessageConversationKey(message);
+        await openChat(findDirectoryUser(username) || { username, displayName: username });
+    }
+    
+    if (message.id) scrollToMessage(message.id);
+}
+
+/**
+ * Show or hide the search filters, filling the person list on first use
+ */
+function toggleSearchFilters() {
+    const filters = document.getElementById('searchFilters');
+    filters.classList.toggle('show');
+    
+    const select = document.getElementById('searchPerson');
+    if (select.options.length <= 1) {
+        directoryUsers
+            .filter(u => u.username.toLowerCase() !== currentUser.username.toLowerCase())
+            .sort((a, b) => (a.displayName || '').localeCompare(b.displayName || ''))
+            .forEach(u => select.add(new Option(u.displayName || u.username, u.username.toLowerCase())));
+    }
+}
+
+/**
+ * Switch tabs
+ */
+function switchTab(tabName) {
+    document.querySelectorAll('.tab').forEach(t => t.classList.remove('active'));
+    document.querySelector(`.tab[data-tab="${tabName}"]`).classList.add('active');
+    
+    document.querySelectorAll('.panel').forEach(p => p.classList.remove('active'));
+    document.getElementById(tabName + 'Panel').classList.add('active');
+    
+    document.getElementById('chatView').classList.remove('active');
+    document.getElementById('settingsView').classList.remove('active');
+}
+
+/**
+ * Update connection status indicator
+ */
+function updateConnectionStatus(status) {
+    const dot = document.getElementById('connectionStatus');
+    const text = document.getElementById('connectionText');
+    
+    dot.className = 'status-dot ' + status;
+    
+    switch (status) {
+        case 'connected':
+            text.textContent = 'Connected';
+            break;
+        case 'connecting':
+            text.textContent = 'Connecting...';
+            break;
+        case 'disconnected':
+            text.textContent = 'Disconnected';
+            break;
+    }
+}
+
+/**
+ * Update user presence in UI
+ */
+function updateUserPresenceUI(username, status, calendarStatus) {
+    // Re-render lists to update presence
+    renderUserList();
+    renderConversationList();
+    
+    // Refresh group member summary and list
+    if (activeGroup && activeGroup.members.some(m => m.toLowerCase() === username.toLowerCase())) {
+        updateGroupHeader();
+        renderGroupMembers();
+    }
+    
+    // Update chat header if viewing this user
+    if (activeChatUser && activeChatUser.username.toLowerCase() === username.toLowerCase()) {
+        document.getElementById('chatStatus').textContent = getPresenceDisplay(activeChatUser).statusText;
+    }
+}
+
+/**
+ * Show typing indicator
+ */
+function showTypingIndicator(username) {
+    const indicator = document.getElementById('typingIndicator');
+    const text = document.getElementById('typingText');
+    const user = directoryUsers.find(u => u.username.toLowerCase() === username.toLowerCase());
+    
+    text.textContent = `${user?.displayName || username} is typing...`;
+    indicator.style.display = 'block';
+    
+    // Auto-hide after 3 seconds
+    clearTimeout(typingTimeout);
+    typingTimeout = setTimeout(hideTypingIndicator, 3000);
+}
+
+/**
+ * Hide typing indicator
+ */
+function hideTypingIndicator() {
+    document.getElementById('typingIndicator').style.display = 'none';
+}
+
+/**
+ * Show connection error
+ */
+function showConnectionError() {
+    document.getElementById('connectionError').classList.add('show');
+}
+
+/**
+ * Hide connection error
+ */
+function hideConnectionError() {
+    document.getElementById('connectionError').classList.remove('show');
+}
+
+/**
+ * Reconnect to SignalR
+ */
+async function reconnect() {
+    hideConnectionError();
+    try {
+        if (connection) {
+            await connection.stop();
+        }
+        await connectSignalR();
+        resyncAfterReconnect();
+    } catch (e) {
+        showConnectionError();
+    }
+}
+
+/**
+ * Catch up once the hub is back: resend queued messages in order, and reload
+ * scheduled messages since some may have gone out while we were away
+ */
+function resyncAfterReconnect() {
+    flushOutbox();
+    loadScheduledMessages();
+}
+
+/**
+ * Setup event handlers
+ */
+function setupEventHandlers() {
+    // Audio may only start from a user gesture
+    ['pointerdown', 'keydown'].forEach(evt => {
+        document.addEventListener(evt, unlockNotificationSound, { once: true });
+    });
+    
+    // Search input
+    const searchInput = document.getElementById('searchInput');
+    searchInput.addEventListener('input', () => {
+        renderUserList();
+    });
+    
+    // Message search and filters
+    ['messageSearchInput', 'searchFrom', 'searchTo'].forEach(id => {
+        document.getElementById(id).addEventListener('input', scheduleMessageSearch);
+    });
+    ['searchPerson', 'searchHasLink', 'searchHasAttachment'].forEach(id => {
+        document.getElementById(id).addEventListener('change', scheduleMessageSearch);
+    });
+    
+    // Close the presence menu when clicking elsewhere
+    document.addEventListener('click', (e) => {
+        if (!e.target.closest('.presence-picker')) {
+            hidePresenceMenu();
+        }
+        if (!e.target.closest('.reaction-picker, .message-action[data-action="react"]')) {
+            hideReactionPicker();
+        }
+        if (!e.target.closest('#sendLaterMenu, #sendLaterButton')) {
+            hideSendLaterMenu();
+        }
+        if (!e.target.closest('.profile-card')) {
+            hideProfileCard();
+        }
+    });
+    
+    // Profile cards: tap an avatar (the row handlers leave those clicks alone) or hover over it
+    document.addEventListener('click', (e) => {
+        const avatar = getProfileAvatar(e.target);
+        if (avatar) showProfileCard(getAvatarEmail(avatar), avatar);
+    });
+    
+    document.addEventListener('mouseover', (e) => {
+        const avatar = e.target.closest('.user-avatar');
+        if (!avatar || avatar.closest('.profile-card') || avatar.contains(e.relatedTarget)) return;
+        
+        const email = getAvatarEmail(avatar);
+        if (!email) return;
+        
+        clearTimeout(profileHoverTimer);
+        profileHoverTimer = setTimeout(() => showProfileCard(email, avatar), 500);
+    });
+    
+    document.addEventListener('mouseout', (e) => {
+        const avatar = e.target.closest('.user-avatar');
+        if (!avatar || avatar.closest('.profile-card') || avatar.contains(e.relatedTarget)) return;
+        
+        clearTimeout(profileHoverTimer);
+        // Leave time to move the pointer onto the card
+        const card = document.getElementById('profileCard');
+        if (card.classList.contains('show') && !card.contains(e.relatedTarget)) {
+            profileHoverTimer = setTimeout(hideProfileCard, 400);
+        }
+    });
+    
+    const profileCard = document.getElementById('profileCard');
+    profileCard.addEventListener('mouseenter', () => clearTimeout(profileHoverTimer));
+    profileCard.addEventListener('mouseleave', () => {
+        profileHoverTimer = setTimeout(hideProfileCard, 400);
+    });
+    profileCard.addEventListener('click', (e) => {
+        // The card re-renders, so the document handler would see a detached target
+        e.stopPropagation();
+        const person = e.target.closest('.profile-person');
+        if (person) navigateProfile(person.dataset.email);
+        
+        const chat = e.target.closest('.profile-chat');
+        if (chat) chatFromProfile(chat.dataset.username);
+    });
+    
+    // Open shared email cards, edit and delete own messages
+    document.getElementById('chatMessages').addEventListener('click', (e) => {
+        const card = e.target.closest('.email-card');
+        if (card) openSharedEmail(card);
+        
+        const action = e.target.closest('.message-action');
+        if (action) handleMessageAction(action);
+        
+        const quote = e.target.closest('.message-quote');
+        if (quote) scrollToMessage(quote.dataset.replyId);
+        
+        const chip = e.target.closest('.reaction-chip');
+        if (chip) toggleReaction(chip.closest('.message').dataset.messageId, chip.dataset.emoji);
+    });
+    
+    document.getElementById('reactionPicker').addEventListener('click', (e) => {
+        const option = e.target.closest('.reaction-option');
+        if (option) {
+            toggleReaction(e.currentTarget.dataset.messageId, option.dataset.emoji);
+        }
+    });
+    
+    // Long-press a message on touch screens to react
+    document.getElementById('chatMessages').addEventListener('touchstart', (e) => {
+        const el = e.target.closest('.message[data-message-id]');
+        if (!el) return;
+        clearTimeout(longPressTimer);
+        longPressTimer = setTimeout(() => showReactionPicker(el), 500);
+    }, { passive: true });
+    
+    ['touchend', 'touchmove', 'touchcancel'].forEach(evt => {
+        document.getElementById('chatMessages').addEventListener(evt, () => clearTimeout(longPressTimer), { passive: true });
+    });
+    
+    document.getElementById('chatMessages').addEventListener('scroll', hideReactionPicker);
+    
+    // Load older history when scrolled near the top
+    document.getElementById('chatMessages').addEventListener('scroll', (e) => {
+        if (e.target.scrollTop < 80) {
+            loadOlderMessages();
+        }
+    });
+    
+    // Message input
+    const messageInput = document.getElementById('messageInput');
+    
+    messageInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            sendMessage();
+        } else if (e.key === 'Escape' && (editingMessageId || editingScheduledId)) {
+            cancelEdit();
+        } else if (e.key === 'Escape' && replyingTo) {
+            cancelReply();
+        }
+    });
+    
+    // Pasted images become attachments
+    messageInput.addEventListener('paste', (e) => {
+        const files = Array.from(e.clipboardData?.files || []);
+        if (files.length > 0 && getActiveConversationKey()) {
+            e.preventDefault();
+            addAttachments(files);
+        }
+    });
+    
+    document.getElementById('attachmentInput').addEventListener('change', (e) => {
+        addAttachments(e.target.files);
+        e.target.value = '';
+    });
+    
+    messageInput.addEventListener('input', async () => {
+        // Auto-resize
+        messageInput.style.height = 'auto';
+        messageInput.style.height = Math.min(messageInput.scrollHeight, 100) + 'px';
+        
+        updateComposerPreview();
+        
+        // Send typing indicator
+        if (getActiveConversationKey() && connection && messageInput.value.trim()) {
+            if (!isTyping) {
+                isTyping = true;
+                await sendTypingState(true);
+            }
+            
+            // Reset typing timeout
+            clearTimeout(typingTimeout);
+            typingTimeout = setTimeout(async () => {
+                if (isTyping && getActiveConversationKey()) {
+                    await sendTypingState(false);
+                    isTyping = false;
+                }
+            }, 2000);
+        }
+    });
+    
+    // Group creation member search
+    document.getElementById('newGroupSearch').addEventListener('input', (e) => {
+        renderMemberSuggestions('newGroupSuggestions', e.target.value, newGroupMembers, (user) => {
+            newGroupMembers.push(user.username);
+            e.target.value = '';
+            renderNewGroupMembers();
+        });
+    });
+    
+    // Contact group member search
+    document.getElementById('contactGroupSearch').addEventListener('input', (e) => {
+        renderMemberSuggestions('contactGroupSuggestions', e.target.value, contactGroupMembers, (user) => {
+            contactGroupMembers.push(user.username.toLowerCase());
+            e.target.value = '';
+            renderContactGroupMembers();
+        });
+    });
+    
+    // Group member add search
+    document.getElementById('addMemberSearch').addEventListener('input', (e) => {
+        if (!activeGroup) return;
+        renderMemberSuggestions('addMemberSuggestions', e.target.value, activeGroup.members, (user) => {
+            e.target.value = '';
+            addGroupMember(user.username);
+        });
+    });
+}
+
+/**
+ * Notify the hub that we started or stopped typing in the active conversation
+ */
+async function sendTypingState(started) {
+    if (activeGroup) {
+        await connection.invoke(started ? 'StartGroupTyping' : 'StopGroupTyping', activeGroup.id);
+    } else if (activeChatUser) {
+        await connection.invoke(started ? 'StartTyping' : 'StopTyping', activeChatUser.username);
+    }
+}
+
+/**
+ * Cache database per environment and user. The default environment keeps the
+ * name from before there were environments, so existing caches carry over.
+ */
+function getCacheDbName() {
+    const username = currentUser.username.toLowerCase();
+    return CONFIG.environment === DEFAULT_ENVIRONMENT
+        ? `${CONFIG.cacheDbName}-${username}`
+        : `${CONFIG.cacheDbName}-${CONFIG.environment}-${username}`;
+}
+
+/**
+ * Open the IndexedDB cache for the current user
+ */
+function openCacheDb() {
+    if (cacheDb) return Promise.resolve(cacheDb);
+    if (!window.indexedDB) return Promise.resolve(null);
+    
+    return new Promise((resolve) => {
+        const request = indexedDB.open(getCacheDbName(), 1);
+        
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            db.createObjectStore('meta', { keyPath: 'key' });
+            db.createObjectStore('messages', { keyPath: 'key' });
+        };
+        
+        request.onsuccess = () => {
+            cacheDb = request.result;
+            resolve(cacheDb);
+        };
+        
+        request.onerror = () => {
+            console.error('Failed to open cache:', request.error);
+            resolve(null);
+        };
+    });
+}
+
+/**
+ * Run a request against a cache store; resolves null if the cache is unavailable
+ */
+async function cacheRequest(storeName, mode, makeRequest) {
+    const db = await openCacheDb();
+    if (!db) return null;
+    
+    return new Promise((resolve) => {
+        try {
+            const store = db.transaction(storeName, mode).objectStore(storeName);
+            const request = makeRequest(store);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.error('Cache request failed:', request.error);
+                resolve(null);
+            };
+        } catch (e) {
+            console.error('Cache request failed:', e);
+            resolve(null);
+        }
+    });
+}
+
+function cacheGet(storeName, key) {
+    return cacheRequest(storeName, 'readonly', store => store.get(key));
+}
+
+function cachePut(storeName, value) {
+    return cacheRequest(storeName, 'readwrite', store => store.put(value));
+}
+
+function cacheDelete(storeName, key) {
+    return cacheRequest(storeName, 'readwrite', store => store.delete(key));
+}
+
+/**
+ * Render directory, groups and conversations from the cache
+ */
+async function loadFromCache() {
+    const [directory, cachedGroups, cachedConversations] = await Promise.all([
+        cacheGet('meta', 'directory'),
+        cacheGet('meta', 'groups'),
+        cacheGet('meta', 'conversations')
+    ]);
+    
+    if (directory) directoryUsers = directory.value;
+    if (cachedGroups) groups = cachedGroups.value;
+    if (cachedConversations) {
+        Object.entries(cachedConversations.value).forEach(([key, c]) => {
+            conversations[key] = { ...c, messages: [] };
+        });
+    }
+    
+    if (directoryUsers.length > 0) {
+        console.log('Rendered from cache:', directoryUsers.length, 'users');
+        renderUserList();
+    }
+    updateUnreadBadge();
+    renderConversationList();
+}
+
+/**
+ * Save conversation summaries (without in-memory messages) to the cache
+ */
+function saveConversationsToCache() {
+    const summaries = {};
+    Object.entries(conversations).forEach(([key, c]) => {
+        const { messages, ...summary } = c;
+        summaries[key] = summary;
+    });
+    cachePut('meta', { key: 'conversations', value: summaries });
+}
+
+/**
+ * Cache the most recent history for a conversation, keeping the cache within its limits
+ */
+async function cachePutMessages(key, messages, hasMore) {
+    const trimmed = messages.length > CONFIG.cacheMaxMessages;
+    await cachePut('messages', {
+        key,
+        messages: messages.slice(-CONFIG.cacheMaxMessages),
+        hasMore: hasMore || trimmed,
+        updatedAt: Date.now()
+    });
+    await pruneMessageCache();
+}
+
+/**
+ * Run read-modify-writes on one conversation's cached history one after another,
+ * so messages arriving together don't overwrite each other
+ */
+function queueCacheWrite(key, task) {
+    const previous = cacheWrites[key] || Promise.resolve();
+    const next = previous.then(task).catch(e => console.error('Cache write failed:', e));
+    cacheWrites[key] = next;
+    next.then(() => {
+        if (cacheWrites[key] === next) delete cacheWrites[key];
+    });
+    return next;
+}
+
+/**
+ * Add a live message to a conversation's cached history, if it has one
+ */
+function cacheAppendMessage(key, message) {
+    return queueCacheWrite(key, async () => {
+        const cached = await cacheGet('messages', key);
+        if (!cached) return;
+        await cachePutMessages(key, mergeMessages(cached.messages, [message]), cached.hasMore);
+    });
+}
+
+/**
+ * Apply an edit or delete to a conversation's cached history
+ */
+function cacheUpdateMessage(key, message) {
+    return queueCacheWrite(key, async () => {
+        const cached = await cacheGet('messages', key);
+        if (!cached) return;
+        
+        const index = cached.messages.findIndex(m => m.id === message.id);
+        if (index === -1) return;
+        
+        cached.messages[index] = { ...cached.messages[index], ...message };
+        await cachePut('messages', cached);
+    });
+}
+
+/**
+ * Drop the least recently updated conversations beyond the cache limit
+ */
+async function pruneMessageCache() {
+    const records = await cacheRequest('messages', 'readonly', store => store.getAll());
+    if (!records || records.length <= CONFIG.cacheMaxConversations) return;
+    
+    records.sort((a, b) => b.updatedAt - a.updatedAt);
+    for (const record of records.slice(CONFIG.cacheMaxConversations)) {
+        await cacheDelete('messages', record.key);
+    }
+}
+
+/**
+ * Merge two message lists, dropping duplicates by id and keeping time order
+ */
+function mergeMessages(existing, incoming) {
+    const seen = new Set(existing.map(m => m.id).filter(id => id));
+    const merged = existing.concat(incoming.filter(m => !m.id || !seen.has(m.id)));
+    return merged.sort((a, b) => new Date(a.sentAt) - new Date(b.sentAt));
+}
+
+/**
+ * Clear everything in the local cache
+ */
+async function clearCache() {
+    await cacheRequest('meta', 'readwrite', store => store.clear());
+    await cacheRequest('messages', 'readwrite', store => store.clear());
+    console.log('Local cache cleared');
+    
+    const button = document.getElementById('clearCacheButton');
+    button.textContent = 'Cache cleared';
+    setTimeout(() => { button.textContent = 'Clear local cache'; }, 2000);
+}
+
+/**
+ * Conversation key helpers
+ */
+function groupKey(groupId) {
+    return 'group:' + groupId;
+}
+
+function isGroupKey(key) {
+    return key.startsWith('group:');
+}
+
+/**
+ * Usernames are case-insensitive; group ids are kept as the server sent them
+ */
+function normalizeConversationKey(key) {
+    return isGroupKey(key) ? key : key.toLowerCase();
+}
+
+function getActiveConversationKey() {
+    if (activeGroup) return groupKey(activeGroup.id);
+    if (activeChatUser) return activeChatUser.username.toLowerCase();
+    return null;
+}
+
+function getMessageConversationKey(message) {
+    if (message.groupId) return groupKey(message.groupId);
+    const isSent = message.senderUsername.toLowerCase() === currentUser.username.toLowerCase();
+    return (isSent ? message.recipientUsername : message.senderUsername).toLowerCase();
+}
+
+function getMessagesPath(key) {
+    if (isGroupKey(key)) {
+        return `/groups/${encodeURIComponent(key.substring(6))}/messages`;
+    }
+    return `/messages/${encodeURIComponent(key)}`;
+}
+
+function findDirectoryUser(username) {
+    return directoryUsers.find(u => u.username.toLowerCase() === username.toLowerCase());
+}
+
+function getDisplayName(username) {
+    return findDirectoryUser(username)?.displayName || username;
+}
+
+/**
+ * Restore favorites and contact groups from roaming settings
+ */
+function loadContactSettings() {
+    const saved = Office.context.roamingSettings?.get(CONFIG.contactsSettingKey);
+    if (saved) {
+        contactSettings = { ...contactSettings, ...saved };
+    }
+}
+
+function saveContactSettings() {
+    const settings = Office.context.roamingSettings;
+    if (!settings) return;
+    
+    settings.set(CONFIG.contactsSettingKey, contactSettings);
+    settings.saveAsync(result => {
+        if (result.status === Office.AsyncResultStatus.Failed) {
+            console.error('Failed to save contacts:', result.error);
+            showError('Failed to save favorites');
+        }
+    });
+}
+
+function isFavorite(username) {
+    return contactSettings.favorites.includes(username.toLowerCase());
+}
+
+function toggleFavorite(username) {
+    const key = username.toLowerCase();
+    contactSettings.favorites = isFavorite(key)
+        ? contactSettings.favorites.filter(f => f !== key)
+        : [...contactSettings.favorites, key];
+    
+    saveContactSettings();
+    renderUserList();
+}
+
+function toggleContactSection(section) {
+    if (contactSettings.collapsed[section]) {
+        delete contactSettings.collapsed[section];
+    } else {
+        contactSettings.collapsed[section] = true;
+    }
     
-    const convos = Object.entries(conversations)
-        .filter(([_, c]) => c.lastMessage)
-        .sort((a, b) => new Date(b[1].lastMessageTime) - new Date(a[1].lastMessageTime));
+    saveContactSettings();
+    renderUserList();
+}
+
+/**
+ * Favorites and contact groups as collapsible sections with online counts.
+ * While searching, only sections with matches are shown.
+ */
+function getContactSectionRows(users, searching) {
+    const sections = [
+        { id: 'favorites', title: '<i class="fas fa-star"></i> Favorites', members: contactSettings.favorites },
+        ...contactSettings.groups.map(g => ({ id: 'contacts:' + g.id, title: escapeHtml(g.name), members: g.members, editable: true }))
+    ];
+    const rows = [];
     
-    if (convos.length === 0) {
-        container.innerHTML = `
-            <div class="empty-state">
-                <i class="fas fa-comment-slash"></i>
-                <div>No conversations yet</div>
-                <div style="font-size: 11px; margin-top: 4px;">Start chatting from the People tab</div>
-            </div>
-        `;
+    sections.forEach(section => {
+        const members = new Set(section.members);
+        const list = users.filter(u => members.has(u.username.toLowerCase()));
+        if (list.length === 0 && (searching || !section.editable)) return;
+        
+        const onlineCount = list.filter(u => isShownOnline(u.username)).length;
+        const collapsed = Boolean(contactSettings.collapsed[section.id]);
+        
+        rows.push({
+            key: section.id,
+            type: 'header',
+            render: () => `
+                <div class="section-header collapsible ${collapsed ? 'collapsed' : ''}" data-section="${escapeHtml(section.id)}">
+                    <i class="fas fa-chevron-down section-toggle"></i>
+                    <span class="section-title">${section.title}</span>
+                    <span class="section-count">${onlineCount}/${list.length} online</span>
+                    ${section.editable ? '<i class="fas fa-pen section-edit" title="Edit group"></i>' : ''}
+                </div>
+            `
+        });
+        
+        if (!collapsed) {
+            rows.push(...list.map(u => ({
+                key: `${section.id}/${u.username.toLowerCase()}`,
+                type: 'item',
+                render: () => renderUserItem(u, isShownOnline(u.username))
+            })));
+        }
+    });
+    
+    return rows;
+}
+
+/**
+ * Show the contact group form, empty or for an existing group
+ */
+function showContactGroupForm(groupId = null) {
+    const group = contactSettings.groups.find(g => g.id === groupId);
+    editingContactGroupId = group ? group.id : null;
+    contactGroupMembers = group ? [...group.members] : [];
+    
+    hideNewGroup();
+    document.getElementById('contactGroupName').value = group ? group.name : '';
+    document.getElementById('contactGroupSearch').value = '';
+    document.getElementById('contactGroupSuggestions').innerHTML = '';
+    document.getElementById('contactGroupDelete').style.display = group ? '' : 'none';
+    renderContactGroupMembers();
+    document.getElementById('contactGroupForm').classList.add('show');
+    document.getElementById('contactGroupName').focus();
+}
+
+function hideContactGroupForm() {
+    editingContactGroupId = null;
+    document.getElementById('contactGroupForm').classList.remove('show');
+}
+
+function renderContactGroupMembers() {
+    const container = document.getElementById('contactGroupMembers');
+    container.innerHTML = contactGroupMembers.map(m => `
+        <span class="member-chip" data-username="${escapeHtml(m)}">
+            ${escapeHtml(getDisplayName(m))}
+            <i class="fas fa-times"></i>
+        </span>
+    `).join('');
+    
+    container.querySelectorAll('.member-chip').forEach(chip => {
+        chip.addEventListener('click', () => {
+            contactGroupMembers = contactGroupMembers.filter(m => m !== chip.dataset.username);
+            renderContactGroupMembers();
+        });
+    });
+}
+
+function saveContactGroup() {
+    const name = document.getElementById('contactGroupName').value.trim();
+    if (!name) return;
+    
+    const existing = contactSettings.groups.find(g => g.id === editingContactGroupId);
+    if (existing) {
+        existing.name = name;
+        existing.members = contactGroupMembers;
+    } else {
+        contactSettings.groups.push({
+            id: Date.now().toString(36),
+            name,
+            members: contactGroupMembers
+        });
+    }
+    
+    saveContactSettings();
+    hideContactGroupForm();
+    renderUserList();
+}
+
+function deleteContactGroup() {
+    const id = editingContactGroupId;
+    contactSettings.groups = contactSettings.groups.filter(g => g.id !== id);
+    delete contactSettings.collapsed['contacts:' + id];
+    
+    saveContactSettings();
+    hideContactGroupForm();
+    renderUserList();
+}
+
+/**
+ * Show the new group form in the People tab
+ */
+function showNewGroup() {
+    hideContactGroupForm();
+    newGroupMembers = [];
+    document.getElementById('newGroupName').value = '';
+    document.getElementById('newGroupSearch').value = '';
+    document.getElementById('newGroupSuggestions').innerHTML = '';
+    renderNewGroupMembers();
+    document.getElementById('newGroupForm').classList.add('show');
+    document.getElementById('newGroupName').focus();
+}
+
+function hideNewGroup() {
+    document.getElementById('newGroupForm').classList.remove('show');
+}
+
+/**
+ * Render the chips for members picked for a new group
+ */
+function renderNewGroupMembers() {
+    const container = document.getElementById('newGroupMembers');
+    container.innerHTML = newGroupMembers.map(m => `
+        <span class="member-chip" data-username="${m}">
+            ${escapeHtml(getDisplayName(m))}
+            <i class="fas fa-times"></i>
+        </span>
+    `).join('');
+    
+    container.querySelectorAll('.member-chip').forEach(chip => {
+        chip.addEventListener('click', () => {
+            newGroupMembers = newGroupMembers.filter(m => m !== chip.dataset.username);
+            renderNewGroupMembers();
+        });
+    });
+}
+
+/**
+ * Render directory matches for a member picker
+ */
+function renderMemberSuggestions(containerId, term, exclude, onPick) {
+    const container = document.getElementById(containerId);
+    term = term.trim().toLowerCase();
+    
+    if (!term) {
+        container.innerHTML = '';
         return;
     }
     
-    container.innerHTML = convos.map(([username, convo]) => {
-        const user = directoryUsers.find(u => u.username.toLowerCase() === username.toLowerCase()) || { username, displayName: username };
-        const isOnline = onlineUsers.has(username.toLowerCase());
-        
-        return `
-            <div class="user-item" data-username="${username}">
-                <div class="user-avatar ${isOnline ? 'available' : 'offline'}">
-                    ${user.initials || '??'}
-                </div>
-                <div class="user-info">
-                    <div class="user-name">${user.displayName || username}</div>
-                    <div class="user-status" style="max-width: 180px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">
-                        ${convo.lastMessage || ''}
-                    </div>
-                </div>
-                ${convo.unreadCount > 0 ? `<div class="user-unread">${convo.unreadCount}</div>` : ''}
-            </div>
-        `;
-    }).join('');
+    const excluded = new Set(exclude.map(m => m.toLowerCase()));
+    excluded.add(currentUser.username.toLowerCase());
     
-    // Add click handlers
-    container.querySelectorAll('.user-item').forEach(item => {
+    const matches = directoryUsers
+        .filter(u => !excluded.has(u.username.toLowerCase()))
+        .filter(u =>
+            u.displayName?.toLowerCase().includes(term) ||
+            u.email?.toLowerCase().includes(term)
+        )
+        .slice(0, 5);
+    
+    container.innerHTML = matches.map(u => `
+        <div class="member-suggestion" data-username="${u.username}">
+            ${escapeHtml(u.displayName || u.username)}
+        </div>
+    `).join('');
+    
+    container.querySelectorAll('.member-suggestion').forEach(item => {
         item.addEventListener('click', () => {
-            const username = item.dataset.username;
-            const user = directoryUsers.find(u => u.username.toLowerCase() === username.toLowerCase()) || { username, displayName: username };
-            openChat(user);
+            const user = directoryUsers.find(u => u.username === item.dataset.username);
+            container.innerHTML = '';
+            if (user) onPick(user);
         });
     });
 }
 
 /**
- * Open chat with user
+ * Create a named group chat from the new group form
  */
-async function openChat(user) {
-    activeChatUser = user;
+async function createGroup() {
+    const name = document.getElementById('newGroupName').value.trim();
     
-    // Update header
-    document.getElementById('chatAvatar').textContent = user.initials || '??';
-    document.getElementById('chatName').textContent = user.displayName || user.username;
+    if (!name || newGroupMembers.length === 0 || !connection) return;
     
-    const isOnline = onlineUsers.has(user.username.toLowerCase());
-    const presence = userPresence[user.email?.toLowerCase()] || {};
-    let statusText = isOnline ? 'Online' : 'Offline';
-    if (isOnline && presence.calendarStatus === 'busy') {
-        statusText = 'In a meeting';
+    try {
+        const group = await connection.invoke('CreateGroup', name, newGroupMembers);
+        handleGroupUpdated(group);
+        hideNewGroup();
+        openGroupChat(groups[group.id]);
+    } catch (error) {
+        console.error('Failed to create group:', error);
+        showError('Failed to create group');
     }
-    document.getElementById('chatStatus').textContent = statusText;
+}
+
+/**
+ * Add a member to the active group
+ */
+async function addGroupMember(username) {
+    if (!activeGroup || !connection) return;
     
-    // Show chat view
-    document.getElementById('peoplePanel').classList.remove('active');
-    document.getElementById('chatsPanel').classList.remove('active');
-    document.getElementById('chatView').classList.add('active');
+    try {
+        await connection.invoke('AddGroupMember', activeGroup.id, username);
+    } catch (error) {
+        console.error('Failed to add member:', error);
+        showError('Failed to add member');
+    }
+}
+
+/**
+ * Remove a member from the active group (removing yourself leaves it)
+ */
+async function removeGroupMember(username) {
+    if (!activeGroup || !connection) return;
     
-    // Load message history
-    await loadMessageHistory(user.username);
+    try {
+        await connection.invoke('RemoveGroupMember', activeGroup.id, username);
+    } catch (error) {
+        console.error('Failed to remove member:', error);
+        showError('Failed to remove member');
+    }
+}
+
+/**
+ * Handle a created or updated group from the hub
+ */
+function handleGroupUpdated(group) {
+    groups[group.id] = group;
     
-    // Mark as read
-    markConversationRead(user.username);
+    const key = groupKey(group.id);
+    if (!conversations[key]) {
+        conversations[key] = { messages: [], unreadCount: 0, lastMessageTime: group.createdAt || new Date().toISOString() };
+    }
     
-    // Focus input
-    document.getElementById('messageInput').focus();
+    cachePut('meta', { key: 'groups', value: groups });
+    
+    if (activeGroup && activeGroup.id === group.id) {
+        activeGroup = group;
+        document.getElementById('chatName').textContent = group.name;
+        updateGroupHeader();
+        renderGroupMembers();
+    }
+    
+    renderConversationList();
 }
 
 /**
- * Load message history
+ * Handle removal of the current user from a group
  */
-async function loadMessageHistory(username) {
-    const container = document.getElementById('chatMessages');
-    container.innerHTML = '<div class="loading"><i class="fas fa-spinner fa-spin"></i> Loading messages...</div>';
+function handleRemovedFromGroup(groupId) {
+    delete groups[groupId];
+    delete conversations[groupKey(groupId)];
+    cachePut('meta', { key: 'groups', value: groups });
+    cacheDelete('messages', groupKey(groupId));
+    saveConversationsToCache();
     
-    try {
-        const response = await fetch(
-            `${CONFIG.intranetUrl}${CONFIG.chatApi}/messages/${encodeURIComponent(username)}?limit=50`,
-            { credentials: 'include' }
-        );
+    if (activeGroup && activeGroup.id === groupId) {
+        closeChat();
+    }
+    
+    updateUnreadBadge();
+    renderConversationList();
+}
+
+/**
+ * Toggle the group member panel from the chat header
+ */
+function toggleGroupMembers() {
+    if (!activeGroup) return;
+    const panel = document.getElementById('groupMembersPanel');
+    if (panel.classList.toggle('show')) {
+        renderGroupMembers();
+    }
+}
+
+function hideGroupMembers() {
+    document.getElementById('groupMembersPanel').classList.remove('show');
+    document.getElementById('addMemberSearch').value = '';
+    document.getElementById('addMemberSuggestions').innerHTML = '';
+}
+
+/**
+ * Render the active group's member list
+ */
+function renderGroupMembers() {
+    if (!activeGroup) return;
+    const container = document.getElementById('groupMemberList');
+    
+    container.innerHTML = activeGroup.members.map(m => {
+        const user = findDirectoryUser(m) || { username: m, displayName: m };
+        const isOnline = isShownOnline(m);
+        const isMe = m.toLowerCase() === currentUser.username.toLowerCase();
         
-        if (response.ok) {
-            const messages = await response.json();
-            
-            if (messages.length === 0) {
-                container.innerHTML = `
-                    <div class="empty-state">
-                        <i class="fas fa-comment"></i>
-                        <div>No messages yet</div>
-                        <div style="font-size: 11px; margin-top: 4px;">Say hi!</div>
-                    </div>
-                `;
-                return;
-            }
-            
-            container.innerHTML = '';
-            messages.forEach(msg => {
-                const isSent = msg.senderUsername.toLowerCase() === currentUser.username.toLowerCase();
-                appendMessage(msg, isSent);
-            });
-            
-            // Scroll to bottom
-            container.scrollTop = container.scrollHeight;
-        }
-    } catch (error) {
-        console.error('Failed to load messages:', error);
-        container.innerHTML = `
-            <div class="empty-state">
-                <i class="fas fa-exclamation-circle"></i>
-                <div>Could not load messages</div>
+        return `
+            <div class="group-member" data-username="${m}">
+                <i class="fas fa-circle status-icon ${isOnline ? 'available' : 'offline'}"></i>
+                <span class="group-member-name">${escapeHtml(user.displayName || m)}${isMe ? ' (you)' : ''}</span>
+                <button class="group-member-remove" title="${isMe ? 'Leave group' : 'Remove'}">
+                    <i class="fas ${isMe ? 'fa-sign-out-alt' : 'fa-times'}"></i>
+                </button>
             </div>
         `;
+    }).join('');
+    
+    container.querySelectorAll('.group-member-remove').forEach(btn => {
+        btn.addEventListener('click', () => {
+            removeGroupMember(btn.closest('.group-member').dataset.username);
+        });
+    });
+}
+
+/**
+ * Action buttons
+ */
+function callUser() {
+    if (!activeChatUser) return;
+    const user = directoryUsers.find(u => u.username === activeChatUser.username);
+    if (user?.zoomPhone) {
+        window.open(`zoomphonecall://${user.zoomPhone}`, '_blank');
+    }
+}
+
+function videoUser() {
+    if (!activeChatUser) return;
+    window.open(`https://${CONFIG.zoomDomain}/start/videomeeting`, '_blank');
+}
+
+function emailUser() {
+    if (activeGroup) {
+        const emails = activeGroup.members
+            .map(m => findDirectoryUser(m)?.email)
+            .filter(e => e && e.toLowerCase() !== currentUserEmail.toLowerCase());
+        if (emails.length > 0) window.open(`mailto:${emails.join(';')}`, '_blank');
+        return;
     }
+    if (!activeChatUser?.email) return;
+    window.open(`mailto:${activeChatUser.email}`, '_blank');
 }
 
 /**
- * Append message to chat
+ * Photo for an avatar when Graph has one, otherwise the initials
  */
-function appendMessage(message, isSent) {
-    const container = document.getElementById('chatMessages');
-    const emptyState = container.querySelector('.empty-state');
-    if (emptyState) emptyState.remove();
+function renderAvatarContent(user) {
+    const email = user.email?.toLowerCase();
+    if (email && !(email in userPhotos)) requestUserPhoto(email);
     
-    const time = new Date(message.sentAt).toLocaleTimeString('en-US', {
-        hour: 'numeric',
-        minute: '2-digit'
+    const photo = email ? userPhotos[email] : null;
+    return photo ? `<img src="${escapeHtml(photo)}" alt="">` : escapeHtml(user.initials || '??');
+}
+
+function findDirectoryUserByEmail(email) {
+    return directoryUsers.find(u => u.email?.toLowerCase() === email.toLowerCase());
+}
+
+/**
+ * Run up to 20 Graph GETs in one $batch request; results come back in request order
+ */
+async function graphBatch(urls) {
+    const response = await graphFetch('https://graph.microsoft.com/v1.0/$batch', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            requests: urls.map((url, i) => ({ id: String(i), method: 'GET', url }))
+        })
     });
     
-    const div = document.createElement('div');
-    div.className = `message ${isSent ? 'sent' : 'received'}`;
-    div.innerHTML = `
-        <div class="message-content">${escapeHtml(message.content)}</div>
-        <div class="message-time">${time}</div>
-    `;
+    if (!response.ok) {
+        throw new Error(`Graph batch failed: ${response.status}`);
+    }
     
-    container.appendChild(div);
-    container.scrollTop = container.scrollHeight;
+    const data = await response.json();
+    const results = [];
+    data.responses.forEach(r => { results[Number(r.id)] = r; });
+    return results;
 }
 
 /**
- * Send message
+ * Load a photo once its avatar is on screen; requests from one render go out together
  */
-async function sendMessage() {
-    const input = document.getElementById('messageInput');
-    const content = input.value.trim();
+function requestUserPhoto(email) {
+    if (photosLoading.has(email) || photoRecentlyFailed(email)) return;
+    photoRequests.add(email);
+    if (photoRequestTimer) return;
+    
+    photoRequestTimer = setTimeout(() => {
+        photoRequestTimer = null;
+        const emails = [...photoRequests];
+        photoRequests.clear();
+        loadUserPhotos(emails);
+    }, 50);
+}
+
+function photoRecentlyFailed(email) {
+    return Date.now() - (photoFailures[email] || 0) < CONFIG.profileCacheMinutes * 60 * 1000;
+}
+
+/**
+ * Fetch small profile photos for people we have not tried yet
+ */
+async function loadUserPhotos(emails) {
+    if (!tokens.graph.token) return;
     
-    if (!content || !activeChatUser || !connection) return;
+    const pending = [...new Set(emails.filter(Boolean).map(e => e.toLowerCase()))]
+        .filter(email => !(email in userPhotos) && !photosLoading.has(email) && !photoRecentlyFailed(email));
+    if (pending.length === 0) return;
+    pending.forEach(email => photosLoading.add(email));
     
     try {
-        await connection.invoke('SendMessage', activeChatUser.username, content);
-        input.value = '';
-        input.style.height = 'auto';
-        
-        // Stop typing indicator
-        if (isTyping) {
-            await connection.invoke('StopTyping', activeChatUser.username);
-            isTyping = false;
+        for (let i = 0; i < pending.length; i += 20) {
+            const batch = pending.slice(i, i + 20);
+            const results = await graphBatch(batch.map(email => `/users/${encodeURIComponent(email)}/photos/48x48/$value`));
+            batch.forEach((email, j) => {
+                const result = results[j];
+                if (result?.status === 200) {
+                    // Binary bodies come back base64-encoded in a batch
+                    userPhotos[email] = `data:${result.headers?.['Content-Type'] || 'image/jpeg'};base64,${result.body}`;
+                } else if (result?.status === 404) {
+                    userPhotos[email] = null;  // no photo
+                } else {
+                    photoFailures[email] = Date.now();  // throttled or failed; try again later
+                }
+            });
         }
     } catch (error) {
-        console.error('Failed to send message:', error);
-        alert('Failed to send message');
+        console.error('Failed to load photos:', error);
+        // Not asked again on every re-render; tried again once the profile cache time has passed
+        const now = Date.now();
+        pending.filter(email => !(email in userPhotos)).forEach(email => { photoFailures[email] = now; });
+        return;
+    } finally {
+        pending.forEach(email => photosLoading.delete(email));
+    }
+    
+    renderUserList();
+    renderConversationList();
+    if (activeChatUser) {
+        document.getElementById('chatAvatar').innerHTML = renderAvatarContent(activeChatUser);
+    }
+}
+
+/**
+ * Load title, office, phones, manager and direct reports from Graph
+ */
+async function loadProfile(email) {
+    const cached = profileCache[email];
+    if (cached && Date.now() - cached.loadedAt < CONFIG.profileCacheMinutes * 60 * 1000) {
+        return cached;
+    }
+    if (!tokens.graph.token) return null;
+    
+    const user = encodeURIComponent(email);
+    const select = '$select=displayName,mail,jobTitle,department,officeLocation,businessPhones,mobilePhone';
+    
+    try {
+        const [profile, manager, reports] = await graphBatch([
+            `/users/${user}?${select}`,
+            `/users/${user}/manager?$select=displayName,mail,jobTitle`,
+            `/users/${user}/directReports?$select=displayName,mail,jobTitle`
+        ]);
+        
+        profileCache[email] = {
+            profile: profile?.status === 200 ? profile.body : null,
+            manager: manager?.status === 200 ? manager.body : null,
+            reports: reports?.status === 200 ? (reports.body.value || []).filter(r => r.mail) : [],
+            loadedAt: Date.now()
+        };
+    } catch (error) {
+        console.error('Failed to load profile:', error);
+        return null;
+    }
+    
+    // Photos for the people we can now walk to, and their working-hours time zone
+    const entry = profileCache[email];
+    loadUserPhotos([email, entry.manager?.mail, ...entry.reports.map(r => r.mail)]);
+    if (!userPresence[email]?.timeZone) {
+        loadCalendarStatus([email]);
+    }
+    return entry;
+}
+
+/**
+ * Current time where a person works, if we know their time zone
+ */
+function getLocalTime(email) {
+    const name = userPresence[email]?.timeZone;
+    if (!name) return null;
+    
+    const timeZone = WINDOWS_TIME_ZONES[name] || name;
+    try {
+        const time = new Date().toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone });
+        return time === formatTime(new Date()) ? `${time} (same as you)` : time;
+    } catch (e) {
+        return null;  // not a zone Intl recognizes
     }
 }
 
 /**
- * Handle incoming message
+ * Show the profile card for a person next to an avatar
  */
-function handleIncomingMessage(message) {
-    const senderUsername = message.senderUsername.toLowerCase();
-    
-    // Initialize conversation if needed
-    if (!conversations[senderUsername]) {
-        conversations[senderUsername] = { messages: [], unreadCount: 0 };
-    }
-    
-    // Add to conversation
-    conversations[senderUsername].messages.push(message);
-    conversations[senderUsername].lastMessage = message.content;
-    conversations[senderUsername].lastMessageTime = message.sentAt;
+function showProfileCard(email, anchor) {
+    clearTimeout(profileHoverTimer);
+    profileHistory = [email.toLowerCase()];
     
-    // If chat is open with this user, show message and mark as read
-    if (activeChatUser && senderUsername === activeChatUser.username.toLowerCase()) {
-        appendMessage(message, false);
-        markConversationRead(senderUsername);
+    const card = document.getElementById('profileCard');
+    const rect = anchor.getBoundingClientRect();
+    const width = 260;
+    card.style.left = Math.max(8, Math.min(rect.left, window.innerWidth - width - 8)) + 'px';
+    if (rect.bottom + 300 > window.innerHeight && rect.top > window.innerHeight / 2) {
+        card.style.top = '';
+        card.style.bottom = (window.innerHeight - rect.top + 6) + 'px';
     } else {
-        // Increment unread
-        conversations[senderUsername].unreadCount++;
-        updateUnreadBadge();
-        
-        // Show desktop notification if available
-        showNotification(message);
+        card.style.bottom = '';
+        card.style.top = (rect.bottom + 6) + 'px';
     }
     
-    // Update conversation list
-    renderConversationList();
-    renderUserList();
+    card.classList.add('show');
+    renderProfileCard();
+}
+
+function hideProfileCard() {
+    clearTimeout(profileHoverTimer);
+    profileHistory = [];
+    document.getElementById('profileCard').classList.remove('show');
 }
 
 /**
- * Mark conversation as read
+ * Walk to a manager or report inside the card
  */
-async function markConversationRead(username) {
-    const convo = conversations[username.toLowerCase()];
-    if (convo) {
-        convo.unreadCount = 0;
+function navigateProfile(email) {
+    profileHistory.push(email.toLowerCase());
+    renderProfileCard();
+}
+
+function profileBack() {
+    if (profileHistory.length > 1) {
+        profileHistory.pop();
+        renderProfileCard();
     }
+}
+
+async function renderProfileCard() {
+    const email = profileHistory[profileHistory.length - 1];
+    if (!email) return;
     
-    updateUnreadBadge();
+    const card = document.getElementById('profileCard');
+    const entry = profileCache[email];
+    card.innerHTML = buildProfileCard(email, entry);
     
-    // Notify server
-    if (connection) {
-        try {
-            await connection.invoke('MarkAsRead', username);
-        } catch (e) {
-            console.error('Failed to mark as read:', e);
+    if (!entry) {
+        await loadProfile(email);
+        // Still showing the same person?
+        if (profileHistory[profileHistory.length - 1] === email) {
+            card.innerHTML = buildProfileCard(email, profileCache[email]);
         }
     }
 }
 
+function buildProfileCard(email, entry) {
+    const directoryUser = findDirectoryUserByEmail(email);
+    const profile = entry?.profile || {};
+    const person = {
+        email,
+        displayName: directoryUser?.displayName || profile.displayName || email,
+        initials: directoryUser?.initials || (profile.displayName || email).split(/\s+/).map(w => w[0]).join('').substring(0, 2).toUpperCase()
+    };
+    const presence = directoryUser ? getPresenceDisplay(directoryUser) : { statusClass: 'unknown', statusText: '' };
+    const title = [profile.jobTitle, profile.department || directoryUser?.department].filter(Boolean).join(' · ');
+    const localTime = getLocalTime(email);
+    
+    const phones = [
+        ...(profile.businessPhones || []).map(p => ({ icon: 'fa-phone', label: p, href: 'tel:' + p })),
+        profile.mobilePhone ? { icon: 'fa-mobile-alt', label: profile.mobilePhone, href: 'tel:' + profile.mobilePhone } : null,
+        directoryUser?.zoomPhone ? { icon: 'fa-headset', label: `Zoom ${directoryUser.zoomPhone}`, href: `zoomphonecall://${directoryUser.zoomPhone}` } : null
+    ].filter(Boolean);
+    const callHref = phones.length > 0 ? phones[phones.length - 1].href : null;
+    
+    const personRow = p => `
+        <div class="profile-person" data-email="${escapeHtml(p.mail)}">
+            <div class="user-avatar">${renderAvatarContent({ email: p.mail, initials: findDirectoryUserByEmail(p.mail)?.initials || (p.displayName || '?')[0] })}</div>
+            <div class="user-info">
+                <div class="user-name">${escapeHtml(p.displayName || p.mail)}</div>
+                <div class="user-status">${escapeHtml(p.jobTitle || '')}</div>
+            </div>
+        </div>
+    `;
+    
+    return `
+        <div class="profile-card-header">
+            ${profileHistory.length > 1 ? '<button class="chat-back" onclick="profileBack()" title="Back"><i class="fas fa-arrow-left"></i></button>' : ''}
+            <div class="user-avatar large ${presence.statusClass}">${renderAvatarContent(person)}</div>
+            <div class="user-info">
+                <div class="user-name">${escapeHtml(person.displayName)}</div>
+                ${title ? `<div class="user-status">${escapeHtml(title)}</div>` : ''}
+                ${presence.statusText ? `<div class="user-status"><i class="fas fa-circle status-icon ${presence.statusClass}"></i> ${escapeHtml(presence.statusText)}</div>` : ''}
+            </div>
+        </div>
+        <div class="profile-card-actions">
+            ${directoryUser ? `<button class="settings-btn profile-chat" data-username="${escapeHtml(directoryUser.username)}"><i class="fas fa-comment"></i> Chat</button>` : ''}
+            ${callHref ? `<a class="settings-btn" href="${escapeHtml(callHref)}" target="_blank"><i class="fas fa-phone"></i> Call</a>` : ''}
+            <a class="settings-btn" href="mailto:${escapeHtml(email)}" target="_blank"><i class="fas fa-envelope"></i> Email</a>
+        </div>
+        <div class="profile-card-details">
+            ${localTime ? `<div><i class="fas fa-clock"></i> ${escapeHtml(localTime)} local time</div>` : ''}
+            ${profile.officeLocation ? `<div><i class="fas fa-building"></i> ${escapeHtml(profile.officeLocation)}</div>` : ''}
+            ${phones.map(p => `<div><i class="fas ${p.icon}"></i> <a href="${escapeHtml(p.href)}" target="_blank">${escapeHtml(p.label)}</a></div>`).join('')}
+            <div><i class="fas fa-envelope"></i> <a href="mailto:${escapeHtml(email)}" target="_blank">${escapeHtml(email)}</a></div>
+        </div>
+        ${!entry ? '<div class="profile-card-loading"><i class="fas fa-spinner fa-spin"></i></div>' : ''}
+        ${entry?.manager?.mail ? `<div class="section-header">Manager</div>${personRow(entry.manager)}` : ''}
+        ${entry?.reports?.length ? `<div class="section-header">Direct reports (${entry.reports.length})</div>${entry.reports.map(personRow).join('')}` : ''}
+    `;
+}
+
+function chatFromProfile(username) {
+    const user = findDirectoryUser(username);
+    hideProfileCard();
+    if (user) openChat(user);
+}
+
 /**
- * Update unread badge
+ * The avatar under a click if it opens a profile card, else null
  */
-function updateUnreadBadge() {
-    const total = Object.values(conversations).reduce((sum, c) => sum + (c.unreadCount || 0), 0);
-    const badge = document.getElementById('unreadBadge');
-    
-    if (total > 0) {
-        badge.textContent = total > 99 ? '99+' : total;
-        badge.style.display = 'inline';
-    } else {
-        badge.style.display = 'none';
-    }
+function getProfileAvatar(target) {
+    const avatar = target.closest('.user-avatar');
+    return avatar && !avatar.closest('.profile-card') && getAvatarEmail(avatar) ? avatar : null;
 }
 
 /**
- * Show notification
+ * Email of the person behind an avatar in the lists or chat header (not groups)
  */
-function showNotification(message) {
-    // Try Office notification first
-    if (Office.context.mailbox && Office.context.mailbox.displayNotificationMessage) {
-        const user = directoryUsers.find(u => u.username.toLowerCase() === message.senderUsername.toLowerCase());
-        const name = user?.displayName || message.senderUsername;
-        
-        Office.context.mailbox.item.notificationMessages.addAsync('chatMsg', {
-            type: 'informationalMessage',
-            message: `${name}: ${message.content.substring(0, 50)}${message.content.length > 50 ? '...' : ''}`,
-            icon: 'icon-16',
-            persistent: false
-        });
-    }
+function getAvatarEmail(avatar) {
+    if (avatar.classList.contains('group')) return null;
+    if (avatar.id === 'chatAvatar') return activeChatUser?.email || null;
+    
+    const item = avatar.closest('.user-item');
+    const username = item?.dataset.username || (item?.dataset.key && !isGroupKey(item.dataset.key) ? item.dataset.key : null);
+    return username ? findDirectoryUser(username)?.email || null : null;
 }
 
 /**
- * Close chat and go back to list
+ * Render message text with the supported formatting subset:
+ * **bold**, *italic* / _italic_, `code`, ``` fenced blocks ```, "- " bullets,
+ * and auto-linked URLs and email addresses. Everything is escaped first.
  */
-function closeChat() {
-    activeChatUser = null;
-    document.getElementById('chatView').classList.remove('active');
-    document.getElementById('peoplePanel').classList.add('active');
+function formatMessage(text) {
+    const source = String(text || '').replace(/\u0000/g, '');
+    const parts = source.split(/```/);
     
-    // Reset tabs to active state
-    document.querySelectorAll('.tab').forEach(t => t.classList.remove('active'));
-    document.querySelector('.tab[data-tab="people"]').classList.add('active');
+    // Odd parts are inside fences
+    return parts.map((part, i) => {
+        if (i % 2 === 1 && i < parts.length - 1) {
+            const code = part.replace(/^[\w-]*\n/, '').replace(/\n$/, '');
+            return `<pre class="message-code"><code>${escapeHtml(code)}</code></pre>`;
+        }
+        return formatBlocks(i % 2 === 1 ? '```' + part : part);
+    }).join('');
 }
 
 /**
- * Switch tabs
+ * Format a run of text outside code fences: bullets and line breaks
  */
-function switchTab(tabName) {
-    document.querySelectorAll('.tab').forEach(t => t.classList.remove('active'));
-    document.querySelector(`.tab[data-tab="${tabName}"]`).classList.add('active');
+function formatBlocks(text) {
+    const lines = text.replace(/^\n|\n$/g, '').split('\n');
+    let html = '';
+    let inList = false;
     
-    document.querySelectorAll('.panel').forEach(p => p.classList.remove('active'));
-    document.getElementById(tabName + 'Panel').classList.add('active');
+    lines.forEach((line, i) => {
+        const bullet = line.match(/^\s*[-*•]\s+(.*)$/);
+        
+        if (bullet) {
+            if (!inList) {
+                html += '<ul class="message-list">';
+                inList = true;
+            }
+            html += `<li>${formatInline(bullet[1])}</li>`;
+            return;
+        }
+        
+        if (inList) {
+            html += '</ul>';
+            inList = false;
+        } else if (i > 0) {
+            html += '<br>';
+        }
+        html += formatInline(line);
+    });
     
-    document.getElementById('chatView').classList.remove('active');
+    if (inList) html += '</ul>';
+    return html;
 }
 
 /**
- * Update connection status indicator
+ * Format inline markup in a single line of text
  */
-function updateConnectionStatus(status) {
-    const dot = document.getElementById('connectionStatus');
-    const text = document.getElementById('connectionText');
+function formatInline(text) {
+    const tokens = [];
+    const hold = (html) => `\u0000${tokens.push(html) - 1}\u0000`;
     
-    dot.className = 'status-dot ' + status;
+    let html = escapeHtml(text);
     
-    switch (status) {
-        case 'connected':
-            text.textContent = 'Connected';
-            break;
-        case 'connecting':
-            text.textContent = 'Connecting...';
-            break;
-        case 'disconnected':
-            text.textContent = 'Disconnected';
-            break;
-    }
+    // Inline code, then links, are protected from further formatting
+    html = html.replace(/`([^`]+)`/g, (_, code) => hold(`<code>${code}</code>`));
+    html = html.replace(/\bhttps?:\/\/[^\s<&]*(?:&amp;[^\s<&]*)*[^\s<.,;:!?)\]&]/gi, (url) =>
+        hold(`<a href="${url}" target="_blank" rel="noopener noreferrer">${url}</a>`));
+    html = html.replace(/\b[\w.+-]+@[\w-]+(\.[\w-]+)+\b/g, (email) =>
+        hold(`<a href="mailto:${email}">${email}</a>`));
+    
+    html = html.replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>');
+    html = html.replace(/(^|[^\w*])\*([^*\s][^*]*)\*(?![\w*])/g, '$1<em>$2</em>');
+    html = html.replace(/(^|[^\w])_([^_\s][^_]*)_(?!\w)/g, '$1<em>$2</em>');
+    
+    return html.replace(/\u0000(\d+)\u0000/g, (_, i) => tokens[i]);
 }
 
 /**
- * Update user presence in UI
+ * Strip formatting markup for plain-text previews
  */
-function updateUserPresenceUI(username, status, calendarStatus) {
-    // Re-render lists to update presence
-    renderUserList();
-    renderConversationList();
-    
-    // Update chat header if viewing this user
-    if (activeChatUser && activeChatUser.username.toLowerCase() === username.toLowerCase()) {
-        const statusEl = document.getElementById('chatStatus');
-        if (status === 'available' || onlineUsers.has(username.toLowerCase())) {
-            if (calendarStatus === 'busy') {
-                statusEl.textContent = 'In a meeting';
-            } else {
-                statusEl.textContent = 'Online';
-            }
-        } else {
-            statusEl.textContent = 'Offline';
-        }
-    }
+function stripFormatting(text) {
+    return String(text || '')
+        .replace(/```[\w-]*\n?/g, '')
+        .replace(/`([^`]+)`/g, '$1')
+        .replace(/\*\*([^*]+)\*\*/g, '$1')
+        .replace(/(^|[^\w*])\*([^*\s][^*]*)\*(?![\w*])/g, '$1$2')
+        .replace(/(^|[^\w])_([^_\s][^_]*)_(?!\w)/g, '$1$2')
+        .replace(/^\s*[-*]\s+/gm, '• ')
+        .replace(/\s*\n\s*/g, ' ')
+        .trim();
 }
 
 /**
- * Show typing indicator
+ * Toggle the formatted preview above the composer
  */
-function showTypingIndicator(username) {
-    const indicator = document.getElementById('typingIndicator');
-    const text = document.getElementById('typingText');
-    const user = directoryUsers.find(u => u.username.toLowerCase() === username.toLowerCase());
-    
-    text.textContent = `${user?.displayName || username} is typing...`;
-    indicator.style.display = 'block';
+function toggleComposerPreview() {
+    const preview = document.getElementById('composerPreview');
+    const button = document.getElementById('previewButton');
+    button.classList.toggle('active', preview.classList.toggle('show'));
+    updateComposerPreview();
+}
+
+function updateComposerPreview() {
+    const preview = document.getElementById('composerPreview');
+    if (!preview.classList.contains('show')) return;
     
-    // Auto-hide after 3 seconds
-    clearTimeout(typingTimeout);
-    typingTimeout = setTimeout(hideTypingIndicator, 3000);
+    const text = document.getElementById('messageInput').value;
+    preview.innerHTML = text.trim()
+        ? formatMessage(text)
+        : '<span class="composer-preview-hint">**bold** *italic* `code` ```block``` - list</span>';
 }
 
 /**
- * Hide typing indicator
+ * Utility: Format a timestamp as a short local time
  */
-function hideTypingIndicator() {
-    document.getElementById('typingIndicator').style.display = 'none';
+function formatTime(value) {
+    return new Date(value).toLocaleTimeString('en-US', {
+        hour: 'numeric',
+        minute: '2-digit'
+    });
 }
 
 /**
- * Show connection error
+ * Utility: Convert an HTML fragment to plain text without running it
  */
-function showConnectionError() {
-    document.getElementById('connectionError').classList.add('show');
+function htmlToText(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    return (doc.body.textContent || '').replace(/\s+\n/g, '\n').replace(/\n{3,}/g, '\n\n');
 }
 
 /**
- * Hide connection error
+ * Show or hide the export panel, defaulting to the last seven days
  */
-function hideConnectionError() {
-    document.getElementById('connectionError').classList.remove('show');
+function toggleExportPanel() {
+    const panel = document.getElementById('exportPanel');
+    if (!panel.classList.toggle('show')) return;
+    
+    const today = new Date();
+    const weekAgo = new Date(today.getTime() - 7 * 24 * 60 * 60 * 1000);
+    document.getElementById('exportFrom').value = toDateInputValue(weekAgo);
+    document.getElementById('exportTo').value = toDateInputValue(today);
+    
+    // Inserting only makes sense while composing
+    const item = Office.context.mailbox?.item;
+    document.getElementById('exportInsertButton').disabled = !(item && item.body && !item.itemId);
+}
+
+function hideExportPanel() {
+    document.getElementById('exportPanel').classList.remove('show');
 }
 
 /**
- * Reconnect to SignalR
+ * Load the messages for the active conversation within the chosen range.
+ * Throws if neither the server nor the cache can give the whole range.
  */
-async function reconnect() {
-    hideConnectionError();
+async function loadTranscriptMessages() {
+    const key = getActiveConversationKey();
+    const fromValue = document.getElementById('exportFrom').value;
+    const toValue = document.getElementById('exportTo').value;
+    const from = fromValue ? new Date(fromValue + 'T00:00:00') : null;
+    const to = toValue ? new Date(toValue + 'T23:59:59') : null;
+    
+    let messages = null;
     try {
-        if (connection) {
-            await connection.stop();
+        messages = await fetchTranscriptPages(key, from, to);
+    } catch (error) {
+        console.error('Failed to load transcript:', error);
+    }
+    
+    // Offline: fall back to the cache, but only if it reaches back far enough
+    if (!messages) {
+        const cached = await cacheGet('messages', key);
+        const oldest = cached?.messages[0];
+        const complete = cached && (!cached.hasMore || (from && oldest && new Date(oldest.sentAt) <= from));
+        if (!complete) {
+            throw new Error('Could not load the whole conversation. Try again when you are online.');
         }
-        await connectSignalR();
-    } catch (e) {
-        showConnectionError();
+        messages = cached.messages;
     }
+    
+    return {
+        from,
+        to,
+        messages: messages.filter(m => {
+            const sentAt = new Date(m.sentAt);
+            return (!from || sentAt >= from) && (!to || sentAt <= to);
+        })
+    };
 }
 
 /**
- * Setup event handlers
+ * Page backwards through a conversation's history until the server has nothing older in the range
  */
-function setupEventHandlers() {
-    // Search input
-    const searchInput = document.getElementById('searchInput');
-    searchInput.addEventListener('input', () => {
-        renderUserList();
-    });
-    
-    // Message input
-    const messageInput = document.getElementById('messageInput');
-    
-    messageInput.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter' && !e.shiftKey) {
-            e.preventDefault();
-            sendMessage();
-        }
-    });
+async function fetchTranscriptPages(key, from, to) {
+    const messages = [];
+    let cursor = to ? { before: to.toISOString() } : {};
     
-    messageInput.addEventListener('input', async () => {
-        // Auto-resize
-        messageInput.style.height = 'auto';
-        messageInput.style.height = Math.min(messageInput.scrollHeight, 100) + 'px';
+    while (true) {
+        const params = new URLSearchParams({ limit: String(CONFIG.transcriptPageSize), ...cursor });
+        if (from) params.set('after', from.toISOString());
         
-        // Send typing indicator
-        if (activeChatUser && connection && messageInput.value.trim()) {
-            if (!isTyping) {
-                isTyping = true;
-                await connection.invoke('StartTyping', activeChatUser.username);
-            }
-            
-            // Reset typing timeout
-            clearTimeout(typingTimeout);
-            typingTimeout = setTimeout(async () => {
-                if (isTyping && activeChatUser) {
-                    await connection.invoke('StopTyping', activeChatUser.username);
-                    isTyping = false;
-                }
-            }, 2000);
+        const response = await authFetch(`${CONFIG.intranetUrl}${CONFIG.chatApi}${getMessagesPath(key)}?${params}`, {
+            credentials: 'include'
+        });
+        if (!response.ok) {
+            throw new Error('HTTP ' + response.status);
         }
+        
+        const page = await response.json();
+        messages.unshift(...page);
+        if (page.length < CONFIG.transcriptPageSize) return messages;
+        
+        cursor = page[0].id ? { beforeId: page[0].id } : { before: page[0].sentAt };
+    }
+}
+
+/**
+ * Build the transcript as plain text and HTML
+ */
+function buildTranscript({ from, to, messages }) {
+    const title = activeGroup
+        ? activeGroup.name
+        : activeChatUser.displayName || activeChatUser.username;
+    const dateFormat = { month: 'short', day: 'numeric', year: 'numeric' };
+    const range = [from, to].map(d => d ? d.toLocaleDateString('en-US', dateFormat) : '…').join(' – ');
+    const heading = `Chat transcript: ${title}`;
+    
+    const lines = messages.map(m => {
+        const stamp = new Date(m.sentAt).toLocaleString('en-US', { ...dateFormat, hour: 'numeric', minute: '2-digit' });
+        return { stamp, sender: getDisplayName(m.senderUsername), text: getTranscriptText(m) };
     });
+    
+    const text = [heading, range, '']
+        .concat(lines.map(l => `[${l.stamp}] ${l.sender}: ${l.text}`))
+        .join('\n');
+    
+    const html = `
+        <div style="font-family: Segoe UI, sans-serif; font-size: 13px;">
+            <h3 style="margin: 0 0 2px;">${escapeHtml(heading)}</h3>
+            <div style="color: #64748b; margin-bottom: 10px;">${escapeHtml(range)}</div>
+            <table style="border-collapse: collapse;">
+                ${lines.map(l => `
+                    <tr>
+                        <td style="color: #64748b; padding: 2px 8px 2px 0; white-space: nowrap; vertical-align: top;">${escapeHtml(l.stamp)}</td>
+                        <td style="font-weight: 600; padding: 2px 8px 2px 0; white-space: nowrap; vertical-align: top;">${escapeHtml(l.sender)}</td>
+                        <td style="padding: 2px 0; white-space: pre-wrap;">${escapeHtml(l.text)}</td>
+                    </tr>
+                `).join('')}
+            </table>
+        </div>
+    `;
+    
+    return { title: heading, text, html, count: lines.length };
 }
 
 /**
- * Action buttons
+ * Plain-text line for a message in a transcript
  */
-function callUser() {
-    if (!activeChatUser) return;
-    const user = directoryUsers.find(u => u.username === activeChatUser.username);
-    if (user?.zoomPhone) {
-        window.open(`zoomphonecall://${user.zoomPhone}`, '_blank');
+function getTranscriptText(message) {
+    if (message.deletedAt) return '(message deleted)';
+    if (message.metadata?.type === 'email' && message.metadata.email) {
+        return describeEmailShare(message.metadata.email);
+    }
+    
+    let text = stripFormatting(message.content);
+    const attachments = message.metadata?.attachments || [];
+    if (attachments.length > 0) {
+        const files = attachments.map(a => '[File] ' + a.fileName).join(', ');
+        text = message.metadata.caption === false ? files : `${text} (${files})`;
     }
+    return text + (message.editedAt ? ' (edited)' : '');
 }
 
-function videoUser() {
-    if (!activeChatUser) return;
-    window.open(`https://aamcompany.zoom.us/start/videomeeting`, '_blank');
+/**
+ * Export the conversation: new email, insert into compose body, or download
+ */
+async function exportConversation(target) {
+    if (!getActiveConversationKey()) return;
+    
+    let transcript;
+    try {
+        transcript = buildTranscript(await loadTranscriptMessages());
+    } catch (error) {
+        showError(error.message);
+        return;
+    }
+    
+    if (transcript.count === 0) {
+        showError('No messages in that date range');
+        return;
+    }
+    
+    switch (target) {
+        case 'email':
+            Office.context.mailbox.displayNewMessageForm({
+                subject: transcript.title,
+                htmlBody: transcript.html
+            });
+            break;
+        
+        case 'insert':
+            Office.context.mailbox.item.body.setSelectedDataAsync(
+                transcript.html,
+                { coercionType: Office.CoercionType.Html },
+                (result) => {
+                    if (result.status === Office.AsyncResultStatus.Failed) {
+                        console.error('Insert failed:', result.error);
+                        showError('Could not insert the transcript');
+                    }
+                }
+            );
+            break;
+        
+        case 'html':
+            downloadFile(`${transcript.title}.html`,
+                `<!DOCTYPE html><html><head><meta charset="UTF-8"><title>${escapeHtml(transcript.title)}</title></head><body>${transcript.html}</body></html>`,
+                'text/html');
+            break;
+        
+        case 'text':
+            downloadFile(`${transcript.title}.txt`, transcript.text, 'text/plain');
+            break;
+    }
+    
+    hideExportPanel();
 }
 
-function emailUser() {
-    if (!activeChatUser?.email) return;
-    window.open(`mailto:${activeChatUser.email}`, '_blank');
+/**
+ * Utility: Save a string as a file download
+ */
+function downloadFile(fileName, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type: type + ';charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName.replace(/[\\/:*?"<>|]/g, '-');
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Utility: yyyy-mm-dd for a date input, in local time
+ */
+function toDateInputValue(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
 }
 
 /**
- * Utility: Escape HTML
+ * Utility: Escape HTML (quotes too, so the result is safe inside attributes)
  */
 function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
 }
 
 /**
- * Show error message
+ * Show error message in the banner under the header; it clears itself after a few seconds
  */
 function showError(message) {
     console.error(message);
-    // Could show in UI
+    
+    document.getElementById('errorBannerText').textContent = message;
+    document.getElementById('errorBanner').classList.add('show');
+    
+    clearTimeout(errorBannerTimer);
+    errorBannerTimer = setTimeout(hideError, 6000);
 }
-
-
+
+function hideError() {
+    clearTimeout(errorBannerTimer);
+    document.getElementById('errorBanner').classList.remove('show');
+}
+
+